@@ -0,0 +1,50 @@
+import b from 'nanobench';
+import { HyperbolicLRUCache } from '../index.js';
+import zipfian from 'zipfian-integer';
+
+// Compares the eviction pool against plain sampling at the same sampleSize.
+// Run with: node benchmarks/evictionPool.js
+
+const SAMPLE_SIZES = [2, 3, 5, 10];
+const POOL_SIZES = [8, 16];
+
+// --- Zipfian Workload Parameters (consistent with main benchmark) ---
+const ZIPF_N_UNIQUE_KEYS = 500;
+const ZIPF_SKEW = 1.0;
+const ZIPF_N_OPERATIONS = 10000;
+const ZIPF_CACHE_CAPACITY = 100;
+
+const zipfSampler = zipfian(0, ZIPF_N_UNIQUE_KEYS - 1, ZIPF_SKEW);
+const zipfKeySequence = [];
+for (let i = 0; i < ZIPF_N_OPERATIONS; i++) {
+    zipfKeySequence.push(`zipfKey${zipfSampler()}`);
+}
+
+function runZipfianWorkload(cache, name) {
+    let hits = 0;
+    let misses = 0;
+
+    for (const key of zipfKeySequence) {
+        const value = cache.get(key);
+        if (value !== undefined) {
+            hits++;
+        } else {
+            misses++;
+            cache.set(key, `valueFor_${key}`);
+        }
+    }
+    const hitRate = (hits / (hits + misses)) * 100;
+    console.log(`  ${name} - Hits: ${hits}, Misses: ${misses}, Hit Rate: ${hitRate.toFixed(2)}%`);
+}
+
+for (const sampleSize of SAMPLE_SIZES) {
+    for (const evictionPoolSize of [0, ...POOL_SIZES]) {
+        const label = evictionPoolSize > 0 ? `pool ${evictionPoolSize}` : 'no pool';
+        b(`hLRU: Zipfian workload, sampleSize=${sampleSize}, ${label} (${ZIPF_N_OPERATIONS} ops, capacity ${ZIPF_CACHE_CAPACITY})`, (bench) => {
+            const cache = new HyperbolicLRUCache(ZIPF_CACHE_CAPACITY, { sampleSize, evictionPoolSize });
+            bench.start();
+            runZipfianWorkload(cache, `hLRU (sampleSize ${sampleSize}, ${label})`);
+            bench.end();
+        });
+    }
+}
@@ -173,11 +173,13 @@ for (let i = 0; i < ZIPF_N_OPERATIONS; i++) {
 }
 
 // Helper function to run the Zipfian workload and measure hits/misses
-function runZipfianWorkload(cache, name) {
+// tick, if given, is called before every operation (e.g. to advance a logical clock)
+function runZipfianWorkload(cache, name, tick) {
     let hits = 0;
     let misses = 0;
 
     for (const key of zipfKeySequence) {
+        if (tick) tick();
         const value = cache.get(key);
         if (value !== undefined) {
             hits++;
@@ -212,6 +214,22 @@ b(`hLRU: Max Hit Rate Zipfian (sampleSize=${ZIPF_CACHE_CAPACITY}, ${ZIPF_N_OPERA
     bench.end();
 });
 
+// --- Priority Mode Comparison ---
+// The workload finishes in milliseconds, so a logical clock advancing ZIPF_MS_PER_OP per operation
+// stands in for wall time; otherwise every entry's time in cache would round down to zero.
+
+const ZIPF_MS_PER_OP = 10;
+
+for (const priorityMode of ['access', 'insertion']) {
+    b(`hLRU: Zipfian workload, priorityMode=${priorityMode} (${ZIPF_N_OPERATIONS} ops, ${ZIPF_MS_PER_OP} ms/op logical clock, capacity ${ZIPF_CACHE_CAPACITY})`, (bench) => {
+        let time = 0;
+        const cache = new HyperbolicLRUCache(ZIPF_CACHE_CAPACITY, { priorityMode, now: () => time });
+        bench.start();
+        runZipfianWorkload(cache, `hLRU (priorityMode ${priorityMode})`, () => { time += ZIPF_MS_PER_OP; });
+        bench.end();
+    });
+}
+
 b(`lru-cache: Zipfian workload (${ZIPF_N_OPERATIONS} ops, ${ZIPF_N_UNIQUE_KEYS} keys, capacity ${ZIPF_CACHE_CAPACITY}, skew ${ZIPF_SKEW})`, (bench) => {
     const cache = new LRUCache({ max: ZIPF_CACHE_CAPACITY });
     bench.start();
@@ -0,0 +1,84 @@
+import { writeFile } from 'fs/promises';
+import { parseArgs } from 'util';
+import { readTrace, simulateCurves, formatTable, POLICIES } from '../simulator.js';
+
+// Replays a trace file against hLRU and the LRU, LFU and Belady baselines, and prints hit-ratio curves.
+// Run with: node benchmarks/simulate.js <trace> [options]   (or: npm run simulate -- <trace> [options])
+
+const USAGE = `Usage: node benchmarks/simulate.js <trace> [options]
+
+Options:
+  --format <lines|csv|arc|spc>  Trace format. Defaults by extension (.csv, .arc, .spc), else lines.
+  --capacities <n,n,...>        Capacities to simulate. Default: 100,1000,10000.
+  --sample-sizes <n,n,...>      hLRU sampleSizes to simulate. Default: 5.
+  --policies <p,p,...>          Policies to simulate, from ${POLICIES.join(', ')}. Default: all.
+  --priority-mode <mode>        hLRU priorityMode, 'access' or 'insertion'. Default: access.
+  --ms-per-request <n>          Logical clock step for traces without timestamps. Default: 10.
+  --seed <n>                    Seed for hLRU's eviction sampling. Default: 1.
+  --json <file>                 Also write the results as JSON to <file>, or to stdout if <file> is '-'.
+  --help                        Show this help.`;
+
+const list = (value) => value.split(',').map((item) => item.trim()).filter((item) => item !== '');
+const numbers = (value, name) => list(value).map((item) => {
+    const number = Number(item);
+    if (!(number > 0) || !Number.isInteger(number)) {
+        throw new Error(`--${name} expects positive integers, got "${item}".`);
+    }
+    return number;
+});
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string' },
+            capacities: { type: 'string', default: '100,1000,10000' },
+            'sample-sizes': { type: 'string', default: '5' },
+            policies: { type: 'string', default: POLICIES.join(',') },
+            'priority-mode': { type: 'string', default: 'access' },
+            'ms-per-request': { type: 'string', default: '10' },
+            seed: { type: 'string', default: '1' },
+            json: { type: 'string' },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (values.help || positionals.length !== 1) {
+        console.log(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+
+    const [path] = positionals;
+    const trace = await readTrace(path, values.format);
+    const options = {
+        capacities: numbers(values.capacities, 'capacities'),
+        sampleSizes: numbers(values['sample-sizes'], 'sample-sizes'),
+        policies: list(values.policies),
+        cacheOptions: { priorityMode: values['priority-mode'] },
+        msPerRequest: Number(values['ms-per-request']),
+        seed: Number(values.seed)
+    };
+    const results = simulateCurves(trace, options);
+
+    const keys = new Set(trace.map((request) => request.key)).size;
+    // With --json -, stdout carries only the JSON so it can be piped.
+    const log = values.json === '-' ? console.error : console.log;
+    log(`Trace: ${path}, ${trace.length} requests, ${keys} unique keys`);
+    log('Hit ratio:');
+    log(formatTable(results));
+
+    if (values.json !== undefined) {
+        const json = JSON.stringify({ trace: path, requests: trace.length, uniqueKeys: keys, results }, null, 2);
+        if (values.json === '-') {
+            console.log(json);
+        } else {
+            await writeFile(values.json, `${json}\n`);
+            log(`Results written to ${values.json}`);
+        }
+    }
+}
+
+main().catch((e) => {
+    console.error(e.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,137 @@
+import { mkdir, readFile, writeFile, rename, unlink, access } from 'fs/promises';
+import { join } from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { serialize, deserialize } from 'v8';
+
+/**
+ * A secondary store that keeps one file per key in a directory, for use with TieredHyperbolicLRUCache.
+ * File names are SHA-256 hashes of the keys, so any key is safe to store. Writes go to a temporary file
+ * that is renamed into place, so readers never see a partially written value.
+ * @template V The type of stored values
+ */
+export class FileSystemStore {
+  /**
+   * @private The directory holding the files.
+   * @type {string}
+   */
+  directory;
+  /**
+   * @private Converts a value to the file contents.
+   * @type {(value: V) => Buffer | string}
+   */
+  serialize;
+  /**
+   * @private Converts file contents back to a value.
+   * @type {(data: Buffer) => V}
+   */
+  deserialize;
+  /**
+   * @private Resolves once the directory exists.
+   * @type {Promise<void> | null}
+   */
+  ready;
+
+  /**
+   * Creates a new FileSystemStore instance. The directory is created on the first write if needed.
+   * @param {string} directory The directory to store files in.
+   * @param {object} [options] Configuration options.
+   * @param {(value: V) => Buffer | string} [options.serialize] Converts a value to the file contents. Defaults to v8.serialize.
+   * @param {(data: Buffer) => V} [options.deserialize] Converts file contents back to a value. Defaults to v8.deserialize.
+   */
+  constructor(directory, options = {}) {
+    if (typeof directory !== 'string' || directory === '') {
+      throw new Error('directory must be a non-empty string');
+    }
+    this.directory = directory;
+    this.serialize = options.serialize || serialize;
+    this.deserialize = options.deserialize || deserialize;
+    this.ready = null;
+  }
+
+  /**
+   * Reads a value.
+   * @param {string} key The key to read.
+   * @returns {Promise<V | undefined>} The value, or undefined if no file exists for the key.
+   */
+  async get(key) {
+    let data;
+    try {
+      data = await readFile(this._path(key));
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return undefined;
+      }
+      throw e;
+    }
+    return this.deserialize(data);
+  }
+
+  /**
+   * Writes a value, replacing any previous value for the key.
+   * @param {string} key The key to write.
+   * @param {V} value The value to write.
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    if (this.ready === null) {
+      this.ready = mkdir(this.directory, { recursive: true }).then(() => {}, (e) => {
+        this.ready = null;
+        throw e;
+      });
+    }
+    await this.ready;
+    const path = this._path(key);
+    const temporary = `${path}.${randomBytes(6).toString('hex')}.tmp`;
+    await writeFile(temporary, this.serialize(value));
+    try {
+      await rename(temporary, path);
+    } catch (e) {
+      await unlink(temporary).catch(() => {});
+      throw e;
+    }
+  }
+
+  /**
+   * Removes a value.
+   * @param {string} key The key to remove.
+   * @returns {Promise<boolean>} True if a file existed for the key.
+   */
+  async delete(key) {
+    try {
+      await unlink(this._path(key));
+      return true;
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return false;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Checks whether a value is stored.
+   * @param {string} key The key to check.
+   * @returns {Promise<boolean>}
+   */
+  async has(key) {
+    try {
+      await access(this._path(key));
+      return true;
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return false;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Maps a key to its file path.
+   * @private
+   * @param {string} key The key.
+   * @returns {string}
+   */
+  _path(key) {
+    return join(this.directory, createHash('sha256').update(key).digest('hex'));
+  }
+}
@@ -1,4 +1,288 @@
 import { CountMinSketch } from 'faster-count-min-sketch';
+import { serialize, deserialize, getHeapStatistics } from 'v8';
+import { EventEmitter } from 'events';
+
+/** Version of the snapshot format produced by `dump`. */
+const DUMP_VERSION = 1;
+
+/** Prefix identifying binary snapshots. */
+const BINARY_MAGIC = Buffer.from('HLRU');
+
+/** Upper bounds of the histogram buckets for the priorities of eviction victims. */
+const VICTIM_PRIORITY_BUCKETS = [0, 0.01, 0.1, 0.5, 1, 2, 5, 10, 50, 100, 1000];
+
+/** Reasons an entry can be removed, as counted in `stats().evictions`. */
+const EVICTION_REASONS = ['capacity', 'expire', 'cleanup', 'clear', 'delete'];
+
+/** The event emitted for each removal reason. */
+const REMOVAL_EVENTS = { capacity: 'evict', expire: 'expire', cleanup: 'expire', delete: 'delete', set: 'delete' };
+
+/** sampleSize values tried by autoTune, before clamping to its bounds. */
+const AUTO_TUNE_CANDIDATES = [2, 3, 5, 8, 12, 16, 24, 32];
+
+/** The most `_addFrequency` adds at once without aging, so a stray count cannot overflow counters or pin a key for good. */
+const MAX_FREQUENCY_BOOST = 0xffff;
+
+/** The smallest autoTune shadow cache, so that even the largest candidate sampleSize has entries to choose from. */
+const MIN_SHADOW_CAPACITY = 64;
+
+/**
+ * Sizes the autoTune shadow caches: capacity * keyFraction entries, but at least MIN_SHADOW_CAPACITY (or capacity, if smaller).
+ * @param {number} capacity The cache's capacity.
+ * @param {number} keyFraction The fraction of the key space shadowed.
+ * @returns {number}
+ */
+function shadowCapacity(capacity, keyFraction) {
+  return Math.min(capacity, Math.max(MIN_SHADOW_CAPACITY, Math.round(capacity * keyFraction)));
+}
+
+/** Typed array constructors that may appear in a JSON snapshot of a sketch. */
+const TYPED_ARRAYS = {
+  Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+  Int32Array, Uint32Array, Float32Array, Float64Array
+};
+
+/** Identity numbers of object keys, used by defaultKeyHash. */
+const objectKeyIds = new WeakMap();
+/**
+ * Identity numbers of unregistered symbol keys, used by defaultKeyHash. Where symbols can be WeakMap keys,
+ * their ids are collected with them; older runtimes fall back to a Map, which keeps every symbol key alive.
+ */
+const symbolKeyIds = (() => {
+  try {
+    return new WeakMap([[Symbol('probe'), 0]]);
+  } catch {
+    return new Map();
+  }
+})();
+let nextKeyId = 0;
+
+/**
+ * Maps a cache key to the string counted in the frequency sketch. Strings are used as-is.
+ * Other primitives and Buffers/typed arrays are tagged with their type so they never share counts with string keys,
+ * and buffers are counted by content. Registered symbols (`Symbol.for`) are counted by their registry key,
+ * and objects, functions and other symbols by identity.
+ * @param {*} key The cache key.
+ * @returns {string}
+ */
+export function defaultKeyHash(key) {
+  switch (typeof key) {
+    case 'string':
+      return key;
+    case 'number':
+    case 'bigint':
+    case 'boolean':
+    case 'undefined':
+      return `\u0000${typeof key}:${String(key)}`;
+    case 'symbol': {
+      const registered = Symbol.keyFor(key);
+      if (registered !== undefined) {
+        return `\u0000symbol.for:${registered}`;
+      }
+      let id = symbolKeyIds.get(key);
+      if (id === undefined) {
+        id = ++nextKeyId;
+        symbolKeyIds.set(key, id);
+      }
+      return `\u0000symbol:${id}`;
+    }
+    default: {
+      if (key === null) {
+        return '\u0000null';
+      }
+      if (ArrayBuffer.isView(key)) {
+        return `\u0000bytes:${Buffer.from(key.buffer, key.byteOffset, key.byteLength).toString('base64')}`;
+      }
+      let id = objectKeyIds.get(key);
+      if (id === undefined) {
+        id = ++nextKeyId;
+        objectKeyIds.set(key, id);
+      }
+      return `\u0000object:${id}`;
+    }
+  }
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), for reproducible eviction sampling.
+ * @param {number} seed Any 32-bit integer seed.
+ * @returns {() => number} A function returning numbers in [0, 1), like Math.random.
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * The inputs to a priority function, describing one sampled entry.
+ * `frequency` and `age` follow the cache's priorityMode: the sketch estimate and time since last access
+ * in 'access' mode, the exact hit count and time since insertion in 'insertion' mode.
+ * @template [K=string]
+ * @typedef {object} EntryMeta
+ * @property {K} key - The entry's key.
+ * @property {number} frequency - Access frequency, as selected by priorityMode.
+ * @property {number} age - Seconds in cache, as selected by priorityMode.
+ * @property {number} accessAge - Seconds since the entry was last set or hit.
+ * @property {number} insertionAge - Seconds since the entry was inserted.
+ * @property {number} hits - Exact number of sets and hits since insertion.
+ * @property {number} cost - Miss cost of the entry.
+ * @property {number} size - Weight of the entry.
+ */
+
+/**
+ * Built-in priority functions for the `priority` option. Lower priorities are evicted first.
+ */
+export const priorities = {
+  /**
+   * Classic hyperbolic caching: frequency times cost over age. The default.
+   * @param {EntryMeta<*>} meta
+   * @returns {number}
+   */
+  hyperbolic(meta) {
+    return (meta.frequency * meta.cost) / (meta.age + 1);
+  },
+
+  /**
+   * Hyperbolic caching with a recency/frequency weighting exponent: frequency times cost over age^alpha.
+   * alpha = 1 is classic hyperbolic, alpha = 0 ignores age entirely, and alpha > 1 favours recent entries.
+   * @param {number} alpha The age exponent, at least 0.
+   * @returns {(meta: EntryMeta<*>) => number}
+   */
+  powerLaw(alpha) {
+    if (!(alpha >= 0)) {
+      throw new Error('alpha must be a non-negative number.');
+    }
+    return (meta) => (meta.frequency * meta.cost) / Math.pow(meta.age + 1, alpha);
+  },
+
+  /**
+   * Pure LFU: evicts the least frequently used of the sampled entries.
+   * @param {EntryMeta<*>} meta
+   * @returns {number}
+   */
+  lfu(meta) {
+    return meta.frequency;
+  },
+
+  /**
+   * Pure LRU by sampling: evicts the least recently used of the sampled entries.
+   * @param {EntryMeta<*>} meta
+   * @returns {number}
+   */
+  lru(meta) {
+    return -meta.accessAge;
+  },
+
+  /**
+   * GDSF-style size-aware scoring: frequency times cost over size, so large cheap entries go first.
+   * @param {EntryMeta<*>} meta
+   * @returns {number}
+   */
+  gdsf(meta) {
+    // A zero-size entry ranks above any sized entry with the same frequency and cost, without dividing by zero.
+    return (meta.frequency * meta.cost) / Math.max(meta.size, Number.EPSILON);
+  }
+};
+
+/**
+ * Escapes a Prometheus label value.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * 32-bit FNV-1a hash of a string's UTF-16 code units, used to pick the keys that autoTune shadows.
+ * @param {string} value
+ * @returns {number}
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Restores the min-heap order of a Space-Saving summary after the counter at index grew.
+ * @param {HeavyHitter[]} heap Counters, lowest count first.
+ * @param {Map<string, number>} positions Heap index of each counter, by sketch key.
+ * @param {number} index The counter that grew.
+ */
+function siftDown(heap, positions, index) {
+  const counter = heap[index];
+  for (;;) {
+    const left = 2 * index + 1;
+    if (left >= heap.length) {
+      break;
+    }
+    const child = left + 1 < heap.length && heap[left + 1].count < heap[left].count ? left + 1 : left;
+    if (heap[child].count >= counter.count) {
+      break;
+    }
+    heap[index] = heap[child];
+    positions.set(heap[index].sketchKey, index);
+    index = child;
+  }
+  heap[index] = counter;
+  positions.set(counter.sketchKey, index);
+}
+
+/**
+ * Restores the min-heap order of a Space-Saving summary after a counter was added at index.
+ * @param {HeavyHitter[]} heap Counters, lowest count first.
+ * @param {Map<string, number>} positions Heap index of each counter, by sketch key.
+ * @param {number} index The new counter.
+ */
+function siftUp(heap, positions, index) {
+  const counter = heap[index];
+  while (index > 0) {
+    const parent = (index - 1) >> 1;
+    if (heap[parent].count <= counter.count) {
+      break;
+    }
+    heap[index] = heap[parent];
+    positions.set(heap[index].sketchKey, index);
+    index = parent;
+  }
+  heap[index] = counter;
+  positions.set(counter.sketchKey, index);
+}
+
+/**
+ * The default memory usage measure of the memory-pressure controller: used V8 heap over the heap size limit.
+ * @returns {number}
+ */
+function heapUsage() {
+  return process.memoryUsage().heapUsed / getHeapStatistics().heap_size_limit;
+}
+
+/**
+ * Creates a CountMinSketch sized from the cache's sketch options.
+ * @param {object} options The cache constructor options.
+ * @returns {CountMinSketch}
+ */
+function createSketch(options) {
+  const epsilon = options.sketchEpsilon || 0.01;
+  const delta = options.sketchDelta || 0.01;
+  if (options.sketchDepth !== undefined) {
+    if (options.sketchDepth <= 0) {
+      throw new Error('sketchDepth must be positive');
+    }
+    const width = Math.ceil(Math.E / epsilon);
+    return new CountMinSketch(width, options.sketchDepth);
+  }
+  return CountMinSketch.createEstimate(epsilon, delta);
+}
 
 /**
  * Represents an entry in the cache.
@@ -6,22 +290,279 @@ import { CountMinSketch } from 'faster-count-min-sketch';
  * @typedef {object} CacheEntry
  * @property {T} value
  * @property {number} timestamp - Time of insertion or last relevant update.
+ * @property {number} insertedAt - Time the key was inserted; overwrites keep it.
+ * @property {number} hits - Exact number of sets and hits since insertion.
  * @property {number} keyArrayIndex - The index of the key in the keyListArray.
+ * @property {number} cost - Miss cost of the entry, multiplied into its hyperbolic priority.
+ * @property {string} [costClass] - Cost class whose learned miss cost replaces `cost` once the class has one.
+ * @property {string[]} [tags] - Tags the entry can be invalidated by.
+ * @property {number} size - Weight of the entry, counted against maxSize.
+ * @property {number} expiresAt - Time after which the entry is treated as a miss, or 0 if it never expires.
+ */
+
+/**
+ * A cost class: entries sharing a running miss-cost estimate, e.g. all values loaded from one backend.
+ * @typedef {object} CostClass
+ * @property {number} cost - Exponentially weighted moving average of the recorded miss costs.
+ * @property {number} samples - Number of miss costs recorded.
+ * @property {number} entries - Number of entries currently in the class.
+ */
+
+/**
+ * Encodes one field of a sketch for a snapshot. Only numbers, strings, booleans, typed arrays
+ * and arrays of those are kept; anything else returns undefined and is left out.
+ * @param {*} field The field value.
+ * @param {boolean} binary Whether typed arrays can be kept as-is rather than converted for JSON.
+ * @returns {*}
+ */
+function encodeSketchField(field, binary) {
+  if (typeof field === 'number' || typeof field === 'string' || typeof field === 'boolean') {
+    return field;
+  }
+  if (ArrayBuffer.isView(field) && !(field instanceof DataView)) {
+    if (binary) {
+      return field.slice();
+    }
+    return TYPED_ARRAYS[field.constructor.name] ? { type: field.constructor.name, data: Array.from(field) } : undefined;
+  }
+  if (Array.isArray(field)) {
+    const encoded = field.map(item => encodeSketchField(item, binary));
+    return encoded.includes(undefined) ? undefined : encoded;
+  }
+  return undefined;
+}
+
+/**
+ * Decodes a sketch field produced by encodeSketchField.
+ * @param {*} encoded The encoded field.
+ * @returns {*}
+ */
+function decodeSketchField(encoded) {
+  if (Array.isArray(encoded)) {
+    return encoded.map(decodeSketchField);
+  }
+  if (encoded !== null && typeof encoded === 'object' && !ArrayBuffer.isView(encoded)) {
+    const TypedArray = TYPED_ARRAYS[encoded.type];
+    if (!TypedArray) {
+      throw new Error(`Unsupported sketch field type "${encoded.type}" in snapshot.`);
+    }
+    return TypedArray.from(encoded.data);
+  }
+  return encoded;
+}
+
+/**
+ * Captures the counters, dimensions and hash seeds of a sketch from its own enumerable fields.
+ * @param {CountMinSketch} sketch The sketch to capture.
+ * @param {boolean} binary Whether the snapshot is binary.
+ * @returns {Record<string, *>}
+ */
+function snapshotSketch(sketch, binary) {
+  const state = {};
+  for (const [name, field] of Object.entries(sketch)) {
+    const encoded = encodeSketchField(field, binary);
+    if (encoded !== undefined) {
+      state[name] = encoded;
+    }
+  }
+  return state;
+}
+
+/**
+ * Restores a sketch captured by snapshotSketch in place.
+ * @param {CountMinSketch} sketch The sketch to restore into.
+ * @param {Record<string, *>} state The captured state.
+ */
+function restoreSketch(sketch, state) {
+  for (const [name, encoded] of Object.entries(state)) {
+    sketch[name] = decodeSketchField(encoded);
+  }
+}
+
+/**
+ * Cache statistics, as returned by `stats()`.
+ * @typedef {object} CacheStats
+ * @property {number} hits - Lookups that found a live entry.
+ * @property {number} misses - Lookups that found no entry, or an expired one.
+ * @property {number} hitRate - hits / (hits + misses), or 0 before the first lookup.
+ * @property {number} sets - Values stored by `set`, including overwrites.
+ * @property {number} overwrites - Sets that replaced the value of an existing entry.
+ * @property {number} rejections - New keys refused by the admission policy or for exceeding maxSize.
+ * @property {Record<string, number>} evictions - Removed entries, by reason.
+ * @property {{ buckets: { le: number, count: number }[], sum: number, count: number }} victimPriority - Cumulative histogram of the priorities of victims chosen by `evict()`.
+ * @property {number} size - Current number of entries.
+ * @property {number} calculatedSize - Current total weight of the entries.
+ * @property {Record<string, CostClassStats>} costClasses - Per cost class state and counters.
+ * @property {number} sampleSize - Current eviction sample size, which changes over time with autoTune.
+ * @property {number} capacity - Current maximum number of entries, which changes with `resize` and memory pressure.
+ */
+
+/**
+ * Statistics of one cost class, as returned in `stats().costClasses`.
+ * @typedef {object} CostClassStats
+ * @property {number} cost - Current learned miss cost.
+ * @property {number} samples - Miss costs recorded since the class was created.
+ * @property {number} entries - Current number of entries in the class.
+ * @property {number} hits - Lookups that found a live entry of the class.
+ * @property {number} misses - Miss costs recorded through `recordMissCost`.
+ * @property {number} evictions - Entries of the class evicted for capacity.
+ */
+
+/**
+ * A read-only view of an entry, as returned by `inspect()` and `entriesByPriority()`.
+ * @template T
+ * @template [K=string]
+ * @typedef {object} EntryInfo
+ * @property {K} key - The entry's key.
+ * @property {T} value - The entry's value.
+ * @property {number} timestamp - Time of insertion or last access.
+ * @property {number} insertedAt - Time the key was inserted.
+ * @property {number} hits - Exact number of sets and hits since insertion.
+ * @property {number} frequency - Estimated access frequency from the sketch.
+ * @property {number} priority - Current hyperbolic priority; lower is evicted first.
+ * @property {number} cost - Miss cost of the entry, taken from its cost class once the class has one.
+ * @property {string | undefined} costClass - The entry's cost class.
+ * @property {string[] | undefined} tags - The entry's tags.
+ * @property {number} size - Weight of the entry.
+ * @property {number} expiresAt - Expiry time, or 0 if the entry never expires.
+ */
+
+/**
+ * Why a value left the cache or was replaced: 'capacity' (evicted to make room), 'expire' (TTL), 'cleanup' (`cleanup(maxAge)`),
+ * 'delete' (`delete`, `deleteWhere` or `invalidateTag`), 'set' (replaced by `set`, or removed because the new value exceeded maxSize)
+ * or 'clear'.
+ * @typedef {'capacity' | 'expire' | 'cleanup' | 'delete' | 'set' | 'clear'} RemovalReason
+ */
+
+/**
+ * The payload of every cache event.
+ * @template T
+ * @template [K=string]
+ * @typedef {object} CacheEvent
+ * @property {K} [key] - The affected key. Not set for 'clear'.
+ * @property {T} [value] - The stored or removed value. Not set for 'miss' and 'clear'.
+ * @property {T} [oldValue] - The replaced value, for 'overwrite'.
+ * @property {number} [size] - The number of entries removed, for 'clear'.
+ * @property {number} [expiresAt] - The removed entry's expiry time, or 0 if it never expired, for 'evict', 'expire' and 'delete'.
+ * @property {RemovalReason | 'set' | 'missing' | 'expired' | 'refresh'} reason - Why the event happened. Misses are
+ * 'missing' (no entry), 'expired' (an expired entry) or 'refresh' (`fetch` with forceRefresh).
+ */
+
+/**
+ * One autoTune round, as emitted in the 'tune' event and kept in `autoTuneState().history`.
+ * @typedef {object} AutoTuneRound
+ * @property {number} at - Time the round ended.
+ * @property {number} lookups - Lookups of shadowed keys during the round.
+ * @property {number} realHitRate - Hit rate of the cache itself on the shadowed keys.
+ * @property {Record<number, number>} hitRates - Hit rate of each shadow cache, by sampleSize.
+ * @property {number} previousSampleSize - sampleSize during the round.
+ * @property {number} sampleSize - sampleSize chosen for the next round.
+ */
+
+/**
+ * The state of autoTune, as returned by `autoTuneState()`.
+ * @typedef {object} AutoTuneState
+ * @property {number} sampleSize - Current sampleSize.
+ * @property {number} minSampleSize - Lowest sampleSize autoTune may choose.
+ * @property {number} maxSampleSize - Highest sampleSize autoTune may choose.
+ * @property {number} keyFraction - Fraction of the key space the shadow caches see.
+ * @property {number} interval - Lookups of shadowed keys per round.
+ * @property {{ lookups: number, realHitRate: number, hitRates: Record<number, number> }} window - The round in progress.
+ * @property {AutoTuneRound[]} history - Recent rounds, oldest first.
+ */
+
+/**
+ * Shadow caches and counters used by autoTune.
+ * @template [K=string]
+ * @typedef {object} AutoTuner
+ * @property {{ sampleSize: number, cache: HyperbolicLRUCache<true, K>, hits: number }[]} candidates - One shadow cache per sampleSize.
+ * @property {number} threshold - Keys whose hash is below this are shadowed.
+ * @property {number} keyFraction - Fraction of the key space the shadow caches see.
+ * @property {number} minSampleSize - Lowest sampleSize that may be chosen.
+ * @property {number} maxSampleSize - Highest sampleSize that may be chosen.
+ * @property {number} interval - Lookups of shadowed keys per round.
+ * @property {number} tolerance - Hit rate a candidate must gain over the current sampleSize to replace it.
+ * @property {number} historySize - Number of rounds kept in history.
+ * @property {number} lookups - Lookups of shadowed keys in the current round.
+ * @property {number} hits - Hits of the cache itself on shadowed keys in the current round.
+ * @property {AutoTuneRound[]} history - Recent rounds, oldest first.
+ */
+
+/**
+ * One counter of the Space-Saving summary behind `topK`.
+ * @template [K=string]
+ * @typedef {object} HeavyHitter
+ * @property {K} key - The monitored key.
+ * @property {string} sketchKey - The key's keyHash string.
+ * @property {number} count - Accesses counted, an overestimate by at most error.
+ * @property {number} error - Count inherited from the key this counter last monitored.
+ */
+
+/**
+ * One key of a `topK` report.
+ * @template [K=string]
+ * @typedef {object} TopKEntry
+ * @property {K} key - The key.
+ * @property {number} count - Accesses counted by the heavy-hitter summary. Never less than the true count.
+ * @property {number} error - How much count may overestimate: the true count is at least count - error.
+ * @property {number} frequency - The sketch's frequency estimate, as used for eviction.
+ * @property {boolean} resident - Whether the key is currently cached.
+ */
+
+/**
+ * Settings of the memory-pressure controller.
+ * @typedef {object} MemoryPressure
+ * @property {() => number} usage - Returns memory usage as a fraction of the limit.
+ * @property {number} high - Usage at or above which capacity shrinks.
+ * @property {number} low - Usage at or below which capacity grows back.
+ * @property {number} shrinkFactor - Factor applied to capacity on each shrink.
+ * @property {number} growStep - Share of the configured capacity added on each growth.
+ * @property {number} minShare - Lowest capacity, as a share of the configured capacity.
+ * @property {ReturnType<typeof setInterval> | null} timer - Interval handle of the check timer, if any.
+ */
+
+/**
+ * A loader call started by `fetch`, shared by every caller waiting on the same key.
+ * @template T
+ * @typedef {object} InFlightLoad
+ * @property {*} key - The key being loaded.
+ * @property {Promise<T>} promise - Settles with the loaded value or the loader's error.
+ * @property {AbortController} controller - Aborts the loader once no caller is waiting on it.
+ * @property {number} waiters - Number of callers currently awaiting the load.
  */
 
 /**
  * A Hyperbolic LRU Cache implementation using Count-Min Sketch and Random Sampling Eviction.
  * Optimized for faster sampling using an explicit key list.
+ * Emits 'set', 'overwrite', 'miss', 'evict', 'expire', 'delete' and 'clear' events, each with a CacheEvent,
+ * 'error' when a dispose hook fails, 'tune' with an AutoTuneRound when autoTune ends a round,
+ * and 'resize' with `{ capacity, previousCapacity, reason }` when the capacity changes.
  * @template T The type of values stored in the cache
+ * @template [K=string] The type of keys. Non-string keys are counted in the sketch through keyHash.
  */
-export class HyperbolicLRUCache {
+export class HyperbolicLRUCache extends EventEmitter {
   /** @private */
   capacity;
   /** @private */
   onEvict;
+  /**
+   * @private Called with each value before it is removed or replaced.
+   * @type {((value: T, key: K, reason: RemovalReason) => void | Promise<void>) | undefined}
+   */
+  dispose;
+  /**
+   * @private Called with each value after it has been removed or replaced.
+   * @type {((value: T, key: K, reason: RemovalReason) => void | Promise<void>) | undefined}
+   */
+  disposeAfter;
+  /**
+   * @private Promises returned by dispose hooks that have not settled yet.
+   * @type {Set<Promise<void>>}
+   */
+  pendingDisposals;
   /**
    * @private Map from key to CacheEntry.
-   * @type {Map<string, CacheEntry<T>>}
+   * @type {Map<K, CacheEntry<T>>}
    */
   cache;
   /**
@@ -29,42 +570,334 @@ export class HyperbolicLRUCache {
    * @type {CountMinSketch}
    */
   sketch;
+  /**
+   * @private Returns the current time in milliseconds.
+   * @type {() => number}
+   */
+  now;
+  /**
+   * @private Returns a random number in [0, 1), used for eviction sampling.
+   * @type {() => number}
+   */
+  random;
+  /**
+   * @private Maps keys to the strings counted in the sketch.
+   * @type {(key: K) => string}
+   */
+  keyHash;
+  /**
+   * @private Holds the counts of the previous aging window, or null when aging is disabled.
+   * @type {CountMinSketch | null}
+   */
+  previousSketch;
+  /**
+   * @private The caller's sketchInstance while aging still rotates it, or null. It is never cleared by aging:
+   * once it has served as the previous window, it is replaced by a sketch built from the cache's sketch options.
+   * @type {CountMinSketch | null}
+   */
+  injectedSketch;
+  /**
+   * @private Sketch options used to replace the injected sketch once aging retires it.
+   * @type {{ sketchEpsilon?: number, sketchDelta?: number, sketchDepth?: number }}
+   */
+  sketchOptions;
+  /**
+   * @private Number of sketch updates per aging window, or 0 when aging is disabled.
+   * @type {number}
+   */
+  agingWindow;
+  /**
+   * @private Weight applied to the previous window's counts when estimating frequency.
+   * @type {number}
+   */
+  agingDecay;
+  /**
+   * @private Number of sketch updates recorded in the current aging window.
+   * @type {number}
+   */
+  agingUpdates;
+  /**
+   * @private Whether new keys must be at least as frequent as the eviction victim to be admitted.
+   * @type {boolean}
+   */
+  admission;
+  /**
+   * @private Keys seen once, kept out of the sketch until their second access. Null when disabled.
+   * @type {Set<string> | null}
+   */
+  doorkeeper;
+  /**
+   * @private Maximum number of keys in the doorkeeper before it is reset.
+   * @type {number}
+   */
+  doorkeeperSize;
+  /**
+   * @private Optional callback when the admission policy rejects a new key.
+   * @type {((key: K, value: T) => void) | undefined}
+   */
+  onReject;
+  /**
+   * @private Loads started by fetch that have not settled yet.
+   * @type {Map<K, InFlightLoad<T>>}
+   */
+  inFlight;
+  /**
+   * @private Statistics counters, or null when statistics are disabled.
+   * @type {object | null}
+   */
+  statistics;
+  /**
+   * @private Whether priorities divide the sketch estimate by time since last access ('access')
+   * or the exact hit count by time since insertion ('insertion').
+   * @type {'access' | 'insertion'}
+   */
+  priorityMode;
+  /**
+   * @private Scores sampled entries for eviction; lower is evicted first.
+   * @type {(meta: EntryMeta<K>, now: number) => number}
+   */
+  priority;
   /**
    * @private Number of items to sample during eviction.
    * @type {number}
    */
   sampleSize;
+  /**
+   * @private Shadow caches that pick sampleSize at runtime, or null when autoTune is disabled.
+   * @type {AutoTuner<K> | null}
+   */
+  tuner;
+  /**
+   * @private Keys of the entries carrying each tag.
+   * @type {Map<string, Set<K>>}
+   */
+  tagIndex;
+  /**
+   * @private Best eviction candidates kept across evictions, lowest priority first, or null if the pool is disabled.
+   * @type {K[] | null}
+   */
+  evictionPool;
+  /**
+   * @private Maximum number of candidates kept in the eviction pool.
+   * @type {number}
+   */
+  evictionPoolSize;
   /**
    * @private Array storing keys for fast random access during sampling.
-   * @type {string[]}
+   * @type {K[]}
    */
   keyListArray;
+  /**
+   * @private Computes the miss cost of an entry when `set` is not given one.
+   * @type {(value: T, key: K) => number}
+   */
+  costCalculation;
+  /**
+   * @private Cost classes by name.
+   * @type {Map<string, CostClass>}
+   */
+  costClasses;
+  /**
+   * @private Weight of each new sample in a cost class's moving average.
+   * @type {number}
+   */
+  costClassAlpha;
+  /**
+   * @private Maximum total weight of all entries, or 0 for no weight limit.
+   * @type {number}
+   */
+  maxSize;
+  /**
+   * @private Computes the weight of an entry when `set` is not given one.
+   * @type {(value: T, key: K) => number}
+   */
+  sizeCalculation;
+  /**
+   * @private Sum of the sizes of all entries currently in the cache.
+   * @type {number}
+   */
+  totalSize;
+  /**
+   * @private Default time-to-live in milliseconds for new entries, or 0 for no expiry.
+   * @type {number}
+   */
+  ttl;
+  /**
+   * @private Interval handle of the background purge timer, if enabled.
+   * @type {ReturnType<typeof setInterval> | null}
+   */
+  purgeTimer;
+  /**
+   * @private Position in keyListArray where the next incremental purge resumes.
+   * @type {number}
+   */
+  purgeCursor;
+  /**
+   * @private Space-Saving counters of the most accessed keys, lowest count first, or null when disabled.
+   * @type {HeavyHitter<K>[] | null}
+   */
+  heavyHitters;
+  /**
+   * @private Number of counters in the heavy-hitter summary.
+   * @type {number}
+   */
+  heavyHittersSize;
+  /**
+   * @private Heap index of each heavy-hitter counter, by sketch key.
+   * @type {Map<string, number>}
+   */
+  heavyHitterPositions;
+  /**
+   * @private Capacity set by the constructor or `resize`. Memory pressure keeps `capacity` at or below it.
+   * @type {number}
+   */
+  configuredCapacity;
+  /**
+   * @private Memory-pressure controller settings, or null when disabled.
+   * @type {MemoryPressure | null}
+   */
+  pressure;
 
   /**
    * Creates a new HyperbolicLRUCache instance.
    * @param {number} capacity Maximum number of items to store in the cache. Must be positive.
    * @param {object} [options] Configuration options.
-   * @param {(key: string, value: T) => void} [options.onEvict] Optional callback when items are evicted.
+   * @param {(key: K, value: T, reason: RemovalReason) => void} [options.onEvict] Optional callback when items are evicted or deleted. Its errors are logged.
+   * @param {(value: T, key: K, reason: RemovalReason) => void | Promise<void>} [options.dispose] Called with each value while it is still cached, before it is
+   * removed or replaced by a different value. Returned promises are tracked by `settled()`; failures are emitted as 'error' events, or logged if there is no 'error' listener.
+   * @param {(value: T, key: K, reason: RemovalReason) => void | Promise<void>} [options.disposeAfter] Like dispose, but called once the value has left the cache.
    * @param {number} [options.sampleSize=5] Number of items to sample during eviction.
+   * @param {boolean | object} [options.autoTune=false] Adjusts sampleSize at runtime. Shadow caches, one per candidate sampleSize,
+   * replay the lookups and sets of a fraction of the key space, and each round the best candidate becomes the sampleSize.
+   * @param {number} [options.autoTune.minSampleSize=2] Lowest sampleSize to choose.
+   * @param {number} [options.autoTune.maxSampleSize=16] Highest sampleSize to choose. Bounds the work, and so the latency, of each eviction.
+   * @param {number[]} [options.autoTune.sampleSizes] Candidates to try. Defaults to 2, 3, 5, 8, 12, 16, 24 and 32 within the bounds, plus sampleSize.
+   * @param {number} [options.autoTune.keyFraction] Fraction of the key space to shadow, in (0, 1]. Defaults to 1000 / capacity, between 0.01 and 0.1.
+   * Shadow caches hold capacity * keyFraction entries, but at least 64 (or capacity, if smaller).
+   * @param {number} [options.autoTune.interval=10000] Lookups of shadowed keys per round.
+   * @param {number} [options.autoTune.tolerance=0.005] Hit rate a candidate must gain over the current sampleSize to replace it.
+   * @param {number} [options.autoTune.historySize=20] Number of rounds kept for `autoTuneState()`.
+   * @param {number} [options.evictionPoolSize=0] Number of low-priority candidates kept across evictions (Redis-style eviction pool).
+   * Each eviction re-scores the pool together with the new sample and evicts the best candidate. 0 disables the pool.
+   * @param {'access' | 'insertion'} [options.priorityMode='access'] 'access' divides the sketch's frequency estimate by the time since the last access.
+   * 'insertion' follows the hyperbolic caching paper: the entry's exact hit count divided by its time since insertion.
+   * @param {(meta: EntryMeta<K>, now: number) => number} [options.priority=priorities.hyperbolic] Scores sampled entries for eviction;
+   * the lowest score is evicted. priorityMode selects the frequency and age it receives. See `priorities` for built-ins.
    * @param {number} [options.sketchEpsilon=0.01] Estimated error rate for CountMinSketch (e.g., 0.01 for 1%).
    * @param {number} [options.sketchDelta=0.01] Probability of exceeding the error rate (e.g., 0.01 for 1%).
    * @param {number} [options.sketchDepth] Optional explicit depth for the CountMinSketch, overriding the delta calculation. Defaults to calculation based on delta.
    * @param {CountMinSketch} [options.sketchInstance] Optionally provide an existing sketch instance.
+   * @param {(key: K) => string} [options.keyHash] Maps keys to the strings counted in the sketch. Defaults to defaultKeyHash.
+   * @param {number} [options.agingWindow=0] Number of sketch updates after which frequency counts age. 0 disables aging.
+   * @param {number} [options.agingDecay=0.5] Weight of the previous window's counts, between 0 and 1 (0.5 halves them, TinyLFU-style).
+   * @param {CountMinSketch} [options.agingSketchInstance] Optionally provide the sketch that holds the previous window's counts. Defaults to one built from the sketch options.
+   * @param {boolean} [options.admission=false] Enables TinyLFU-style admission: a new key that is colder than the eviction victim is not inserted.
+   * @param {number} [options.doorkeeperSize] Maximum number of first-time keys held outside the sketch when admission is enabled. Defaults to capacity; 0 disables the doorkeeper.
+   * @param {(key: K, value: T) => void} [options.onReject] Optional callback when the admission policy rejects a new key.
+   * @param {boolean} [options.stats=false] Enables hit, miss, set and eviction statistics, exposed by `stats()` and `toPrometheus()`.
+   * @param {() => number} [options.now=Date.now] Clock used for timestamps, TTLs and priorities, in milliseconds.
+   * @param {() => number} [options.random=Math.random] Random source in [0, 1) used for eviction sampling.
+   * @param {number} [options.seed] Seeds a built-in PRNG for reproducible eviction sampling. Ignored if random is given.
+   * @param {(value: T, key: K) => number} [options.costCalculation] Default miss cost for entries set without an explicit cost. Defaults to a cost of 1 for every entry.
+   * @param {number} [options.costClassAlpha=0.2] Weight of each new sample in a cost class's moving average, between 0 (exclusive) and 1.
+   * @param {number} [options.maxSize] Optional maximum total weight of all entries, enforced alongside capacity.
+   * @param {(value: T, key: K) => number} [options.sizeCalculation] Weight of entries set without an explicit size. Defaults to a size of 1 for every entry.
+   * @param {number} [options.ttl=0] Default time-to-live in milliseconds for new entries. 0 disables expiry.
+   * @param {number} [options.purgeInterval=0] Interval in milliseconds of an unref'd background timer that purges expired entries. 0 disables the timer.
+   * @param {number} [options.purgeBatchSize=100] Maximum number of entries each background purge examines.
+   * @param {number} [options.heavyHitters=0] Number of keys tracked for `topK` with the Space-Saving algorithm, including keys that are not cached.
+   * Any key with more than 1/heavyHitters of all accesses is guaranteed to be tracked. 0 disables tracking.
+   * @param {boolean | object} [options.memoryPressure=false] Shrinks capacity while memory usage is high and grows it back once it drops.
+   * Usage is checked on an unref'd timer, stopped by `close()`, and by `checkMemoryPressure()`.
+   * @param {number} [options.memoryPressure.high=0.85] Usage at or above which capacity shrinks.
+   * @param {number} [options.memoryPressure.low=0.7] Usage at or below which capacity grows back towards the configured capacity.
+   * @param {number} [options.memoryPressure.shrinkFactor=0.75] Factor applied to capacity on each check with high usage.
+   * @param {number} [options.memoryPressure.growStep=0.1] Share of the configured capacity added back on each check with low usage.
+   * @param {number} [options.memoryPressure.minShare=0.1] Lowest capacity, as a share of the configured capacity.
+   * @param {number} [options.memoryPressure.interval=1000] Milliseconds between checks. 0 disables the timer.
+   * @param {number} [options.memoryPressure.maxRss] Measures usage as resident set size over this many bytes, e.g. the container's memory limit.
+   * Defaults to measuring the used V8 heap over the heap size limit.
+   * @param {() => number} [options.memoryPressure.usage] Measures usage as a fraction of the limit, replacing the built-in measures.
    */
   constructor(capacity, options = {}) {
     if (capacity <= 0) {
       throw new Error('Capacity must be positive.');
     }
+    super();
     this.capacity = capacity;
     this.onEvict = options.onEvict;
+    this.dispose = options.dispose;
+    this.disposeAfter = options.disposeAfter;
+    if ((this.dispose && typeof this.dispose !== 'function') || (this.disposeAfter && typeof this.disposeAfter !== 'function')) {
+      throw new Error('dispose and disposeAfter must be functions');
+    }
+    this.pendingDisposals = new Set();
+    this.now = options.now || Date.now;
+    if (options.random) {
+      this.random = options.random;
+    } else if (options.seed !== undefined) {
+      this.random = createSeededRandom(options.seed);
+    } else {
+      this.random = Math.random;
+    }
+    if (typeof this.now !== 'function' || typeof this.random !== 'function') {
+      throw new Error('now and random must be functions');
+    }
+    this.costCalculation = options.costCalculation || (() => 1);
+    if (typeof this.costCalculation !== 'function') {
+      throw new Error('costCalculation must be a function');
+    }
+    this.costClasses = new Map();
+    this.costClassAlpha = options.costClassAlpha === undefined ? 0.2 : options.costClassAlpha;
+    if (!(this.costClassAlpha > 0 && this.costClassAlpha <= 1)) {
+      throw new Error('costClassAlpha must be between 0 (exclusive) and 1.');
+    }
+    this.maxSize = options.maxSize || 0;
+    if (this.maxSize < 0) {
+      throw new Error('maxSize must be positive.');
+    }
+    this.sizeCalculation = options.sizeCalculation || (() => 1);
+    if (typeof this.sizeCalculation !== 'function') {
+      throw new Error('sizeCalculation must be a function');
+    }
+    this.totalSize = 0;
+    this.ttl = options.ttl || 0;
+    if (this.ttl < 0) {
+      throw new Error('ttl must be positive.');
+    }
+    this.priorityMode = options.priorityMode || 'access';
+    if (this.priorityMode !== 'access' && this.priorityMode !== 'insertion') {
+      throw new Error(`Unsupported priorityMode "${this.priorityMode}".`);
+    }
+    this.priority = options.priority || priorities.hyperbolic;
+    if (typeof this.priority !== 'function') {
+      throw new Error('priority must be a function');
+    }
     this.sampleSize = options.sampleSize || 5;
     if (this.sampleSize <= 0) {
       console.warn(`Invalid sampleSize (${this.sampleSize}), defaulting to 3.`);
       this.sampleSize = 3;
     }
+    this.evictionPoolSize = options.evictionPoolSize || 0;
+    if (this.evictionPoolSize < 0) {
+      throw new Error('evictionPoolSize must be positive.');
+    }
+    this.evictionPool = this.evictionPoolSize > 0 ? [] : null;
+
+    this.keyHash = options.keyHash || defaultKeyHash;
+    if (typeof this.keyHash !== 'function') {
+      throw new Error('keyHash must be a function');
+    }
+    this.tuner = options.autoTune ? this._createTuner(capacity, options) : null;
 
     this.cache = new Map();
     this.keyListArray = [];
+    this.inFlight = new Map();
+    this.tagIndex = new Map();
+    this.statistics = null;
+    if (options.stats) {
+      this.resetStats();
+    }
 
     if (options.sketchInstance) {
       if (!(options.sketchInstance instanceof CountMinSketch)) {
@@ -72,79 +905,828 @@ export class HyperbolicLRUCache {
       }
       this.sketch = options.sketchInstance;
     } else {
-      const epsilon = options.sketchEpsilon || 0.01;
-      const delta = options.sketchDelta || 0.01;
-      if (options.sketchDepth !== undefined) {
-        if (options.sketchDepth <= 0) {
-          throw new Error('sketchDepth must be positive');
+      this.sketch = createSketch(options);
+    }
+
+    this.agingWindow = options.agingWindow || 0;
+    this.agingDecay = options.agingDecay === undefined ? 0.5 : options.agingDecay;
+    this.agingUpdates = 0;
+    this.previousSketch = null;
+    if (this.agingWindow < 0) {
+      throw new Error('agingWindow must be positive.');
+    }
+    if (!(this.agingDecay >= 0 && this.agingDecay <= 1)) {
+      throw new Error('agingDecay must be between 0 and 1.');
+    }
+    this.admission = options.admission === true;
+    this.onReject = options.onReject;
+    this.doorkeeperSize = options.doorkeeperSize === undefined ? capacity : options.doorkeeperSize;
+    this.doorkeeper = this.admission && this.doorkeeperSize > 0 ? new Set() : null;
+
+    if (this.agingWindow > 0) {
+      if (options.agingSketchInstance) {
+        if (!(options.agingSketchInstance instanceof CountMinSketch)) {
+          throw new Error('Provided agingSketchInstance is not a valid CountMinSketch');
         }
-        const width = Math.ceil(Math.E / epsilon);
-        this.sketch = new CountMinSketch(width, options.sketchDepth);
+        this.previousSketch = options.agingSketchInstance;
       } else {
-        this.sketch = CountMinSketch.createEstimate(epsilon, delta);
+        this.previousSketch = createSketch(options);
       }
+      this.injectedSketch = options.sketchInstance || null;
+      const { sketchEpsilon, sketchDelta, sketchDepth } = options;
+      this.sketchOptions = { sketchEpsilon, sketchDelta, sketchDepth };
+    } else {
+      this.injectedSketch = null;
+    }
+
+    this.purgeTimer = null;
+    this.purgeCursor = 0;
+    if (options.purgeInterval > 0) {
+      const batchSize = options.purgeBatchSize || 100;
+      this.purgeTimer = setInterval(() => this.purgeStale(batchSize), options.purgeInterval);
+      this.purgeTimer.unref?.();
+    }
+
+    this.heavyHittersSize = options.heavyHitters || 0;
+    if (!Number.isInteger(this.heavyHittersSize) || this.heavyHittersSize < 0) {
+      throw new Error('heavyHitters must be a non-negative integer.');
     }
+    this.heavyHitters = this.heavyHittersSize > 0 ? [] : null;
+    this.heavyHitterPositions = new Map();
+
+    this.configuredCapacity = capacity;
+    this.pressure = options.memoryPressure ? this._createPressureController(options.memoryPressure) : null;
   }
 
   /**
    * Sets a value in the cache. Updates frequency estimate and potentially the key list.
-   * @param {string} key The key to store the value under.
+   * Evicts as many items as needed to stay within both capacity and maxSize.
+   * Items larger than maxSize are refused, and any previous value for the key is removed.
+   * With admission enabled, a new key colder than the eviction victim is rejected and reported to onReject.
+   * @param {K} key The key to store the value under.
    * @param {T} value The value to store.
+   * @param {object} [options] Per-entry options.
+   * @param {number} [options.cost] Miss cost of this entry. Defaults to `costCalculation(value, key)`.
+   * @param {string} [options.costClass] Cost class of this entry. Once `recordMissCost` has been called for the class,
+   * its learned cost replaces the entry's own cost in eviction priorities.
+   * @param {string[]} [options.tags] Tags to invalidate this entry by with `invalidateTag`. Replaces the tags of an existing entry.
+   * @param {number} [options.size] Weight of this entry. Defaults to `sizeCalculation(value, key)`.
+   * @param {number} [options.ttl] Time-to-live of this entry in milliseconds, 0 for no expiry. Defaults to the cache's ttl.
    */
-  set(key, value) {
-    const now = Date.now();
+  set(key, value, options = {}) {
+    const now = this.now();
     let entry = this.cache.get(key);
+    const cost = this._resolveCost(key, value, options.cost);
+    const { costClass } = options;
+    if (costClass !== undefined && (typeof costClass !== 'string' || costClass === '')) {
+      throw new Error(`Invalid costClass (${String(costClass)}) for key "${String(key)}". costClass must be a non-empty string.`);
+    }
+    if (options.tags !== undefined && !Array.isArray(options.tags)) {
+      throw new Error(`Invalid tags for key "${String(key)}". tags must be an array of strings.`);
+    }
+    const tags = options.tags === undefined || options.tags.length === 0 ? undefined : [...new Set(options.tags)];
+    if (tags !== undefined && !tags.every((tag) => typeof tag === 'string')) {
+      throw new Error(`Invalid tags for key "${String(key)}". Tags must be strings.`);
+    }
+    const size = this._resolveSize(key, value, options.size);
+    const ttl = options.ttl === undefined ? this.ttl : options.ttl;
+    if (typeof ttl !== 'number' || !(ttl >= 0)) {
+      throw new Error(`Invalid ttl (${ttl}) for key "${String(key)}". TTL must be a non-negative number.`);
+    }
+    const expiresAt = ttl > 0 ? now + ttl : 0;
+
+    if (this.maxSize && size > this.maxSize) {
+      console.warn(`Entry for key "${String(key)}" (size: ${size}) is larger than maxSize (${this.maxSize}). Entry not added.`);
+      this._removeEntry(key, 'set');
+      this._count('rejections');
+      return;
+    }
 
-    this.sketch.update(key);
+    this._recordAccess(key);
+    this._shadowSet(key, cost, ttl);
+
+    const isResident = entry !== undefined;
+    const oldValue = entry?.value;
+    const replaced = isResident && oldValue !== value;
+    if (replaced) {
+      this._runDisposer(this.dispose, oldValue, key, 'set');
+    }
+    let insertedAt = now;
+    let hits = 1;
+    if (entry && this.maxSize && this.totalSize - entry.size + size > this.maxSize) {
+      // The grown entry needs room; re-insert it so eviction cannot pick the key being written.
+      this._deleteKey(key);
+      insertedAt = entry.insertedAt;
+      hits = entry.hits + 1;
+      entry = undefined;
+    }
 
     if (entry) {
+      this.totalSize += size - entry.size;
       entry.value = value;
       entry.timestamp = now;
+      entry.hits++;
+      entry.cost = cost;
+      if (entry.costClass !== costClass) {
+        this._leaveCostClass(entry.costClass);
+        this._joinCostClass(costClass);
+        entry.costClass = costClass;
+      }
+      this._untag(key, entry.tags);
+      this._tag(key, tags);
+      entry.tags = tags;
+      entry.size = size;
+      entry.expiresAt = expiresAt;
+      this._count('sets');
+      this._count('overwrites');
+      this.emit('set', { key, value, reason: 'set' });
+      this.emit('overwrite', { key, value, oldValue, reason: 'set' });
+    } else {
+      while (this.cache.size > 0 && (this.cache.size >= this.capacity || (this.maxSize && this.totalSize + size > this.maxSize))) {
+        const sizeBefore = this.cache.size;
+        if (this.evict(isResident ? undefined : key) === false) {
+          this._reject(key, value);
+          return;
+        }
+        if (this.cache.size === sizeBefore) break;
+      }
+
+      if (this.cache.size < this.capacity) {
+        const keyIndex = this.keyListArray.length;
+        entry = { value, timestamp: now, insertedAt, hits, keyArrayIndex: keyIndex, cost, costClass, tags, size, expiresAt };
+        this.totalSize += size;
+        this._joinCostClass(costClass);
+        this._tag(key, tags);
+        this.cache.set(key, entry);
+        this.keyListArray.push(key);
+        this._count('sets');
+        this.emit('set', { key, value, reason: 'set' });
+        if (isResident) {
+          this._count('overwrites');
+          this.emit('overwrite', { key, value, oldValue, reason: 'set' });
+        }
+      } else if (this.capacity > 0) {
+        console.warn(`Cache is still full (size: ${this.cache.size}, capacity: ${this.capacity}) after potential eviction. Entry for key "${String(key)}" not added.`);
+      }
+    }
+    if (replaced) {
+      this._runDisposer(this.disposeAfter, oldValue, key, 'set');
+    }
+  }
+
+  /**
+   * Checks if a key exists in the cache. Does not update sketch or timestamp.
+   * Expired entries are removed and reported as missing.
+   * @param {K} key The key to check.
+   * @returns {boolean}
+   */
+  has(key) {
+    const entry = this.cache.get(key);
+    if (entry && this._isExpired(entry, this.now())) {
+      this._expire(key);
+      return false;
+    }
+    return entry !== undefined;
+  }
+
+  /**
+   * Gets a value from the cache. Updates frequency estimate and timestamp if found.
+   * Expired entries are removed and treated as a miss.
+   * @param {K} key The key to retrieve.
+   * @returns {T | undefined} The value if found, undefined otherwise.
+   */
+  get(key) {
+    const entry = this.cache.get(key);
+    if (entry && this._isExpired(entry, this.now())) {
+      this._expire(key);
+      this._miss(key, 'expired');
+      return undefined;
+    }
+    if (entry) {
+      entry.timestamp = this.now();
+      entry.hits++;
+      this._recordAccess(key);
+      this._count('hits');
+      this._countCostClass(entry.costClass, 'hits');
+      this._shadowLookup(key, entry);
+      return entry.value;
+    }
+    this._miss(key, 'missing');
+    return undefined;
+  }
+
+  /**
+   * Gets a value without updating its frequency estimate or timestamp.
+   * @param {K} key The key to read.
+   * @returns {T | undefined} The value if found and not expired, undefined otherwise.
+   */
+  peek(key) {
+    const entry = this.cache.get(key);
+    if (!entry || this._isExpired(entry, this.now())) {
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Describes an entry's eviction state without updating its frequency estimate or timestamp.
+   * @param {K} key The key to inspect.
+   * @returns {EntryInfo<T, K> | undefined} The entry's details if found and not expired, undefined otherwise.
+   */
+  inspect(key) {
+    const now = this.now();
+    const entry = this.cache.get(key);
+    if (!entry || this._isExpired(entry, now)) {
+      return undefined;
+    }
+    return {
+      key,
+      value: entry.value,
+      timestamp: entry.timestamp,
+      insertedAt: entry.insertedAt,
+      hits: entry.hits,
+      frequency: this._estimateFrequency(key),
+      priority: this._calculateHyperbolicPriority(key, now),
+      cost: this._entryCost(entry),
+      costClass: entry.costClass,
+      tags: entry.tags,
+      size: entry.size,
+      expiresAt: entry.expiresAt
+    };
+  }
+
+  /**
+   * Iterates over the live entries as [key, value] pairs. Does not update sketch or timestamps.
+   * @returns {IterableIterator<[K, T]>}
+   */
+  *entries() {
+    const now = this.now();
+    for (const [key, entry] of this.cache) {
+      if (!this._isExpired(entry, now)) {
+        yield [key, entry.value];
+      }
+    }
+  }
+
+  /**
+   * Iterates over the keys of the live entries.
+   * @returns {IterableIterator<K>}
+   */
+  *keys() {
+    for (const [key] of this.entries()) {
+      yield key;
+    }
+  }
+
+  /**
+   * Iterates over the values of the live entries.
+   * @returns {IterableIterator<T>}
+   */
+  *values() {
+    for (const [, value] of this.entries()) {
+      yield value;
+    }
+  }
+
+  /**
+   * Iterates over the live entries as [key, value] pairs.
+   * @returns {IterableIterator<[K, T]>}
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Calls fn for each live entry. Does not update sketch or timestamps.
+   * @param {(value: T, key: K, cache: HyperbolicLRUCache<T, K>) => void} fn The function to call.
+   * @param {*} [thisArg] Value to use as `this` when calling fn.
+   */
+  forEach(fn, thisArg) {
+    for (const [key, value] of this.entries()) {
+      fn.call(thisArg, value, key, this);
+    }
+  }
+
+  /**
+   * Lists the live entries in eviction order, lowest priority (next to be evicted) first.
+   * Computes every entry's priority, so it is meant for debugging rather than hot paths.
+   * @returns {EntryInfo<T, K>[]}
+   */
+  entriesByPriority() {
+    const infos = [];
+    for (const key of this.cache.keys()) {
+      const info = this.inspect(key);
+      if (info) {
+        infos.push(info);
+      }
+    }
+    return infos.sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Gets a value from the cache, calling loader on a miss and inserting its result through `set`.
+   * Concurrent fetches of the same key share a single loader call, and loader rejections are not cached.
+   * @param {K} key The key to retrieve.
+   * @param {(key: K, context: { signal: AbortSignal, staleValue: T | undefined }) => T | Promise<T>} loader Loads the value on a miss.
+   * @param {object} [options] Fetch options. Any other options are passed to `set` when the loaded value is inserted.
+   * @param {AbortSignal} [options.signal] Rejects this call when aborted. The loader itself is aborted once every caller waiting on it has aborted.
+   * @param {boolean} [options.staleWhileRevalidate=false] Return an expired value right away while it is refreshed in the background.
+   * A failed refresh is emitted as an 'error' event, or logged if there is no 'error' listener.
+   * @param {boolean} [options.forceRefresh=false] Call the loader even if the key is cached.
+   * @returns {Promise<T>} The cached or loaded value.
+   */
+  async fetch(key, loader, options = {}) {
+    const { signal, staleWhileRevalidate = false, forceRefresh = false, ...setOptions } = options;
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+
+    const entry = this.cache.get(key);
+    if (entry && !forceRefresh) {
+      if (!this._isExpired(entry, this.now())) {
+        return this.get(key);
+      }
+      if (staleWhileRevalidate) {
+        this._recordAccess(key);
+        this._count('hits');
+        this._shadowLookup(key, undefined);
+        const load = this._startLoad(key, loader, setOptions, entry.value);
+        load.promise.catch((e) => {
+          // A load aborted by callers that joined it has not failed.
+          if (!load.controller.signal.aborted) {
+            this._reportError(e, `Background refresh of key ${String(key)} failed:`);
+          }
+        });
+        return entry.value;
+      }
+    }
+
+    this._miss(key, entry === undefined ? 'missing' : forceRefresh ? 'refresh' : 'expired');
+    const load = this._startLoad(key, loader, setOptions, entry?.value);
+    return this._awaitLoad(load, signal);
+  }
+
+  /**
+   * Returns the in-flight load for a key, starting the loader if none is running.
+   * @private
+   * @param {K} key The key to load.
+   * @param {Function} loader The loader passed to fetch.
+   * @param {object} setOptions Options passed to `set` with the loaded value.
+   * @param {T | undefined} staleValue The cached value being replaced, if any.
+   * @returns {InFlightLoad<T>}
+   */
+  _startLoad(key, loader, setOptions, staleValue) {
+    const existing = this.inFlight.get(key);
+    if (existing) {
+      return existing;
+    }
+
+    const load = { key, promise: null, controller: new AbortController(), waiters: 0 };
+    this.inFlight.set(key, load);
+    load.promise = (async () => {
+      try {
+        const value = await loader(key, { signal: load.controller.signal, staleValue });
+        if (load.controller.signal.aborted) {
+          throw load.controller.signal.reason;
+        }
+        // A clear() or newer load while this one ran makes its result stale.
+        if (this.inFlight.get(key) === load) {
+          this.set(key, value, setOptions);
+        }
+        return value;
+      } finally {
+        if (this.inFlight.get(key) === load) {
+          this.inFlight.delete(key);
+        }
+      }
+    })();
+    return load;
+  }
+
+  /**
+   * Waits for an in-flight load on behalf of one caller, honouring that caller's AbortSignal.
+   * @private
+   * @param {InFlightLoad<T>} load The load to wait for.
+   * @param {AbortSignal} [signal] The caller's signal.
+   * @returns {Promise<T>}
+   */
+  _awaitLoad(load, signal) {
+    load.waiters++;
+    if (!signal) {
+      return load.promise;
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        if (--load.waiters === 0) {
+          load.controller.abort(signal.reason);
+          // Later fetches must start a fresh load rather than join the aborted one.
+          if (this.inFlight.get(load.key) === load) {
+            this.inFlight.delete(load.key);
+          }
+        }
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      load.promise.then(
+        (value) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        (error) => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Records an access in the frequency sketch, aging the counts once the current window is full.
+   * Aging swaps the sketches: the full window becomes the previous one, and the old previous one is cleared for reuse,
+   * unless it is the caller's sketchInstance, which may be shared and is left as it is.
+   * @private
+   * @param {K} key The accessed key.
+   */
+  _recordAccess(key) {
+    const sketchKey = this.keyHash(key);
+    if (this.doorkeeper !== null && !this.doorkeeper.has(sketchKey)) {
+      if (this.doorkeeper.size >= this.doorkeeperSize) {
+        this.doorkeeper.clear();
+      }
+      this.doorkeeper.add(sketchKey);
     } else {
-      if (this.cache.size >= this.capacity && this.capacity > 0) {
-        this.evict();
+      this.sketch.update(sketchKey);
+    }
+    if (this.heavyHitters !== null) {
+      this._countHeavyHitter(key, sketchKey);
+    }
+    if (this.agingWindow > 0 && ++this.agingUpdates >= this.agingWindow) {
+      let retired = this.previousSketch;
+      if (retired === this.injectedSketch) {
+        retired = createSketch(this.sketchOptions);
+        this.injectedSketch = null;
+      } else {
+        retired.clear();
+      }
+      this.previousSketch = this.sketch;
+      this.sketch = retired;
+      this.agingUpdates = 0;
+      if (this.doorkeeper !== null) {
+        this.doorkeeper.clear();
+      }
+      if (this.heavyHitters !== null) {
+        // Scaling every counter keeps the heap order, and lets yesterday's heavy hitters fade like their sketch counts.
+        for (const counter of this.heavyHitters) {
+          counter.count *= this.agingDecay;
+          counter.error *= this.agingDecay;
+        }
+      }
+    }
+  }
+
+  /**
+   * Counts an access in the Space-Saving summary. An untracked key takes over the counter with the lowest count,
+   * inheriting that count as its error.
+   * @private
+   * @param {K} key The accessed key.
+   * @param {string} sketchKey The key's keyHash string.
+   */
+  _countHeavyHitter(key, sketchKey) {
+    const heap = this.heavyHitters;
+    const positions = this.heavyHitterPositions;
+    let index = positions.get(sketchKey);
+    if (index !== undefined) {
+      heap[index].count++;
+    } else if (heap.length < this.heavyHittersSize) {
+      heap.push({ key, sketchKey, count: 1, error: 0 });
+      siftUp(heap, positions, heap.length - 1);
+      return;
+    } else {
+      index = 0;
+      const counter = heap[0];
+      positions.delete(counter.sketchKey);
+      counter.error = counter.count;
+      counter.count++;
+      counter.key = key;
+      counter.sketchKey = sketchKey;
+    }
+    siftDown(heap, positions, index);
+  }
+
+  /**
+   * Raises a key's frequency estimate with a single sketch update, e.g. to restore the standing of an entry
+   * promoted from another tier. Unlike accesses, it leaves the aging window, the doorkeeper and the heavy-hitter
+   * summary alone. The count is capped at agingWindow, which no window exceeds, or at MAX_FREQUENCY_BOOST without aging.
+   * @private
+   * @param {K} key The key.
+   * @param {number} count The accesses to add.
+   */
+  _addFrequency(key, count) {
+    const capped = Math.min(Math.round(count), this.agingWindow > 0 ? this.agingWindow : MAX_FREQUENCY_BOOST);
+    if (capped > 0) {
+      this.sketch.update(this.keyHash(key), capped);
+    }
+  }
+
+  /**
+   * Estimates how often a key has been set or read, from the frequency sketch used for eviction.
+   * Works for keys that are not cached. With aging, it is the current window's count plus agingDecay times the previous window's; older counts are dropped.
+   * @param {K} key The key.
+   * @returns {number}
+   */
+  frequency(key) {
+    return this._estimateFrequency(key);
+  }
+
+  /**
+   * Reports the most accessed keys, cached or not, from the heavy-hitter summary. Requires the `heavyHitters` option.
+   * @param {number} [k] Number of keys to report. Defaults to every tracked key.
+   * @returns {TopKEntry<K>[]} The keys, highest count first.
+   */
+  topK(k = this.heavyHittersSize) {
+    if (this.heavyHitters === null) {
+      throw new Error('Heavy-hitter tracking is disabled. Create the cache with { heavyHitters: n }.');
+    }
+    return [...this.heavyHitters]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, k)
+      .map(({ key, count, error }) => ({ key, count, error, frequency: this._estimateFrequency(key), resident: this.cache.has(key) }));
+  }
+
+  /**
+   * Estimates the access frequency of a key, weighting the previous aging window by agingDecay.
+   * A key held by the doorkeeper counts one access on top of the sketch.
+   * @private
+   * @param {K} key The key to estimate.
+   * @returns {number}
+   */
+  _estimateFrequency(key) {
+    const sketchKey = this.keyHash(key);
+    let current = this.sketch.query(sketchKey);
+    if (this.doorkeeper !== null && this.doorkeeper.has(sketchKey)) {
+      current += 1;
+    }
+    if (this.previousSketch === null || this.agingDecay === 0) {
+      return current;
+    }
+    return current + this.agingDecay * this.previousSketch.query(sketchKey);
+  }
+
+  /**
+   * Reports a key rejected by the admission policy to onReject.
+   * @private
+   * @param {K} key The rejected key.
+   * @param {T} value The rejected value.
+   */
+  _reject(key, value) {
+    this._count('rejections');
+    if (this.onReject) {
+      try {
+        this.onReject(key, value);
+      } catch (e) {
+        console.error(`onReject callback failed for key ${String(key)}:`, e);
       }
+    }
+  }
+
+  /**
+   * Checks whether an entry's time-to-live has elapsed.
+   * @private
+   * @param {CacheEntry<T>} entry The entry to check.
+   * @param {number} nowMs The current time in milliseconds.
+   * @returns {boolean}
+   */
+  _isExpired(entry, nowMs) {
+    return entry.expiresAt > 0 && nowMs >= entry.expiresAt;
+  }
+
+  /**
+   * Removes an expired entry and notifies onEvict.
+   * @private
+   * @param {K} key The key of the expired entry.
+   */
+  _expire(key) {
+    if (this._removeEntry(key, 'expire')) {
+      this._recordEviction('expire');
+    }
+  }
+
+  /**
+   * Counts a miss and emits the 'miss' event.
+   * @private
+   * @param {K} key The key that missed.
+   * @param {'missing' | 'expired' | 'refresh'} reason Why the lookup missed.
+   */
+  _miss(key, reason) {
+    this._count('misses');
+    this._shadowLookup(key, undefined);
+    this.emit('miss', { key, reason });
+  }
+
+  /**
+   * Removes an entry and runs the removal hooks: dispose while the entry is still cached,
+   * then onEvict, the event for the reason and disposeAfter once it is gone.
+   * @private
+   * @param {K} key The key to remove.
+   * @param {RemovalReason} reason Why the entry is removed.
+   * @returns {CacheEntry<T> | undefined} The removed entry, or undefined if not found.
+   */
+  _removeEntry(key, reason) {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this._runDisposer(this.dispose, entry.value, key, reason);
+    this._deleteKey(key);
+    if (this.onEvict) {
+      try {
+        this.onEvict(key, entry.value, reason);
+      } catch (e) {
+        console.error(`onEvict callback failed for key ${String(key)}:`, e);
+      }
+    }
+    this.emit(REMOVAL_EVENTS[reason], { key, value: entry.value, reason, expiresAt: entry.expiresAt });
+    this._runDisposer(this.disposeAfter, entry.value, key, reason);
+    return entry;
+  }
+
+  /**
+   * Calls a dispose hook. Failures, thrown or rejected, are reported through `_reportError` once the current
+   * operation has finished, so a failing hook cannot leave the cache half-updated.
+   * @private
+   * @param {((value: T, key: K, reason: RemovalReason) => void | Promise<void>) | undefined} disposer The hook, if any.
+   * @param {T} value The disposed value.
+   * @param {K} key Its key.
+   * @param {RemovalReason} reason Why it is disposed.
+   */
+  _runDisposer(disposer, value, key, reason) {
+    if (!disposer) {
+      return;
+    }
+    let result;
+    try {
+      result = disposer(value, key, reason);
+    } catch (e) {
+      result = Promise.reject(e);
+    }
+    if (result && typeof result.then === 'function') {
+      const pending = Promise.resolve(result)
+        .catch((e) => this._reportError(e, `Dispose hook failed for key ${String(key)}:`))
+        .finally(() => this.pendingDisposals.delete(pending));
+      this.pendingDisposals.add(pending);
+    }
+  }
+
+  /**
+   * Emits an error as an 'error' event if anyone listens, and logs it otherwise:
+   * an 'error' event without a listener would throw, and a failing hook must not crash the process.
+   * @private
+   * @param {*} error The error.
+   * @param {string} message Describes what failed, for the log.
+   */
+  _reportError(error, message) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error(message, error);
+    }
+  }
+
+  /**
+   * Waits until every dispose and disposeAfter promise started so far, and any they lead to, has settled.
+   * @returns {Promise<void>}
+   */
+  async settled() {
+    while (this.pendingDisposals.size > 0) {
+      await Promise.allSettled([...this.pendingDisposals]);
+    }
+  }
+
+  /**
+   * Records the cost of a miss for a cost class, e.g. the time a backend took to load a value,
+   * and folds it into the class's moving average. Entries in the class are weighted by the new average
+   * from their next priority calculation, so items from a backend that gets slow stay cached longer.
+   * @param {string} costClass The cost class, as passed to `set`.
+   * @param {number} ms The observed miss cost, typically load latency in milliseconds.
+   */
+  recordMissCost(costClass, ms) {
+    if (typeof costClass !== 'string' || costClass === '') {
+      throw new Error('costClass must be a non-empty string.');
+    }
+    if (typeof ms !== 'number' || !(ms >= 0) || ms === Infinity) {
+      throw new Error(`Invalid miss cost (${ms}) for cost class "${costClass}". Cost must be a finite, non-negative number.`);
+    }
+    const record = this._costClass(costClass);
+    record.cost = record.samples === 0 ? ms : record.cost + this.costClassAlpha * (ms - record.cost);
+    record.samples++;
+    this._countCostClass(costClass, 'misses');
+  }
+
+  /**
+   * Describes every cost class: its learned cost, the number of recorded misses and its current entries.
+   * @returns {Record<string, CostClass>}
+   */
+  costClassStats() {
+    return Object.fromEntries([...this.costClasses].map(([name, { cost, samples, entries }]) => [name, { cost, samples, entries }]));
+  }
+
+  /**
+   * Gets the record of a cost class, creating it if needed.
+   * @private
+   * @param {string} name The cost class.
+   * @returns {CostClass}
+   */
+  _costClass(name) {
+    let record = this.costClasses.get(name);
+    if (record === undefined) {
+      record = { cost: 0, samples: 0, entries: 0 };
+      this.costClasses.set(name, record);
+    }
+    return record;
+  }
+
+  /**
+   * Counts an entry into its cost class.
+   * @private
+   * @param {string | undefined} name The entry's cost class, if any.
+   */
+  _joinCostClass(name) {
+    if (name !== undefined) {
+      this._costClass(name).entries++;
+    }
+  }
 
-      if (this.cache.size < this.capacity) {
-        const keyIndex = this.keyListArray.length;
-        entry = { value, timestamp: now, keyArrayIndex: keyIndex };
-        this.cache.set(key, entry);
-        this.keyListArray.push(key);
-      } else if (this.capacity > 0) {
-        console.warn(`Cache is still full (size: ${this.cache.size}, capacity: ${this.capacity}) after potential eviction. Entry for key "${key}" not added.`);
+  /**
+   * Counts an entry out of its cost class.
+   * @private
+   * @param {string | undefined} name The entry's cost class, if any.
+   */
+  _leaveCostClass(name) {
+    if (name !== undefined) {
+      this._costClass(name).entries--;
+    }
+  }
+
+  /**
+   * Gets the miss cost used in an entry's priority: its class's learned cost, or its own cost
+   * if it has no class or the class has no recorded misses yet.
+   * @private
+   * @param {CacheEntry<T>} entry The entry.
+   * @returns {number}
+   */
+  _entryCost(entry) {
+    if (entry.costClass !== undefined) {
+      const record = this.costClasses.get(entry.costClass);
+      if (record !== undefined && record.samples > 0) {
+        return record.cost;
       }
     }
+    return entry.cost;
   }
 
   /**
-   * Checks if a key exists in the cache. Does not update sketch or timestamp.
-   * @param {string} key The key to check.
-   * @returns {boolean}
+   * Resolves and validates the miss cost for an entry.
+   * @private
+   * @param {K} key The key being set.
+   * @param {T} value The value being set.
+   * @param {number} [cost] Explicit cost passed to `set`, if any.
+   * @returns {number} The cost to store on the entry.
    */
-  has(key) {
-    return this.cache.has(key);
+  _resolveCost(key, value, cost) {
+    if (cost === undefined) {
+      cost = this.costCalculation(value, key);
+    }
+    if (typeof cost !== 'number' || !(cost >= 0) || cost === Infinity) {
+      throw new Error(`Invalid cost (${cost}) for key "${String(key)}". Cost must be a finite, non-negative number.`);
+    }
+    return cost;
   }
 
   /**
-   * Gets a value from the cache. Updates frequency estimate and timestamp if found.
-   * @param {string} key The key to retrieve.
-   * @returns {T | undefined} The value if found, undefined otherwise.
+   * Resolves and validates the weight of an entry.
+   * @private
+   * @param {K} key The key being set.
+   * @param {T} value The value being set.
+   * @param {number} [size] Explicit size passed to `set`, if any.
+   * @returns {number} The size to store on the entry.
    */
-  get(key) {
-    const entry = this.cache.get(key);
-    if (entry) {
-      entry.timestamp = Date.now();
-      this.sketch.update(key);
-      return entry.value;
+  _resolveSize(key, value, size) {
+    if (size === undefined) {
+      size = this.sizeCalculation(value, key);
     }
-    return undefined;
+    if (typeof size !== 'number' || !(size >= 0) || size === Infinity) {
+      throw new Error(`Invalid size (${size}) for key "${String(key)}". Size must be a finite, non-negative number.`);
+    }
+    return size;
   }
 
   /**
-   * Calculates the hyperbolic priority for a given key based on its cache entry and estimated frequency.
+   * Calculates the eviction priority for a given key by passing its entry's metadata to the priority function.
+   * In 'access' mode the function sees the sketch's estimate and the time since the last access;
+   * in 'insertion' mode it sees the entry's exact hit count and the time since insertion.
    * Lower value means higher priority for eviction.
    * @private
-   * @param {string} key The key to calculate priority for.
+   * @param {K} key The key to calculate priority for.
    * @param {number} nowMs The current time in milliseconds (passed in for efficiency).
    * @returns {number} The calculated priority, or Infinity if entry not found.
    */
@@ -153,16 +1735,27 @@ export class HyperbolicLRUCache {
     if (!entry) {
       return Infinity;
     }
-    const estimatedFrequency = this.sketch.query(key);
-    const timeInCacheSeconds = (nowMs - entry.timestamp) / 1000 + 1;
-    if (estimatedFrequency === 0) return 0;
-    return estimatedFrequency / timeInCacheSeconds;
+    const insertion = this.priorityMode === 'insertion';
+    const accessAge = (nowMs - entry.timestamp) / 1000;
+    const insertionAge = (nowMs - entry.insertedAt) / 1000;
+    const priority = this.priority({
+      key,
+      frequency: insertion ? entry.hits : this._estimateFrequency(key),
+      age: insertion ? insertionAge : accessAge,
+      accessAge,
+      insertionAge,
+      hits: entry.hits,
+      cost: this._entryCost(entry),
+      size: entry.size
+    }, nowMs);
+    // NaN compares false with everything, so it would make an entry impossible to rank; treat it as the highest priority.
+    return Number.isNaN(priority) ? Infinity : priority;
   }
 
  /**
   * Internal helper to remove a key efficiently from all structures.
   * @private
-  * @param {string} key The key to delete.
+  * @param {K} key The key to delete.
   * @returns {CacheEntry<T> | undefined} The removed entry, or undefined if not found.
   */
  _deleteKey(key) {
@@ -181,60 +1774,206 @@ export class HyperbolicLRUCache {
       if (movedEntry) {
           movedEntry.keyArrayIndex = indexToRemove;
       } else {
-          console.error(`Inconsistency: Key "${lastKey}" not found in cache during swap-and-pop.`);
+          console.error(`Inconsistency: Key "${String(lastKey)}" not found in cache during swap-and-pop.`);
       }
     } 
 
     this.cache.delete(key);
+    this.totalSize -= entryToRemove.size;
+    this._leaveCostClass(entryToRemove.costClass);
+    this._untag(key, entryToRemove.tags);
 
     return entryToRemove;
  }
 
   /**
    * Evicts an item using random sampling (from keyListArray) based on hyperbolic priority.
+   * An expired entry found in the sample is evicted right away.
+   * With an eviction pool, the victim is the best of the pooled candidates and the new sample.
    * @private
+   * @param {K} [incomingKey] The new key that needs room. With admission enabled, nothing is evicted
+   * if this key's estimated frequency is lower than the chosen victim's.
+   * @returns {boolean} False if the admission policy rejected incomingKey, true otherwise.
    */
-  evict() {
+  evict(incomingKey) {
     const currentSize = this.keyListArray.length;
-    if (currentSize === 0) return;
+    if (currentSize === 0) return true;
 
     const actualSampleSize = Math.min(this.sampleSize, currentSize);
     let keyToEvict = null;
     let lowestPriority = Infinity;
-    const nowMs = Date.now();
+    let expired = false;
+    const nowMs = this.now();
+    const sampled = this.evictionPool !== null ? new Map() : null;
     var i = 0;
     for (; i < actualSampleSize; ++i) {
-      const randomIndex = Math.floor(Math.random() * currentSize);
+      const randomIndex = Math.floor(this.random() * currentSize);
       const sampledKey = this.keyListArray[randomIndex];
 
+      if (this._isExpired(this.cache.get(sampledKey), nowMs)) {
+        keyToEvict = sampledKey;
+        expired = true;
+        break;
+      }
+
       const priority = this._calculateHyperbolicPriority(sampledKey, nowMs);
+      if (sampled !== null) {
+        sampled.set(sampledKey, priority);
+      }
 
-      if (priority < lowestPriority) {
+      // The first sample is always a candidate, even if every priority is Infinity.
+      if (keyToEvict === null || priority < lowestPriority) {
         lowestPriority = priority;
         keyToEvict = sampledKey;
       }
     }
 
+    if (sampled !== null && !expired) {
+      [keyToEvict, lowestPriority, expired] = this._refillEvictionPool(sampled, nowMs);
+    }
+
+    if (this.admission && incomingKey !== undefined && keyToEvict !== null && !expired &&
+        this._estimateFrequency(incomingKey) < this._estimateFrequency(keyToEvict)) {
+      return false;
+    }
+
     if (keyToEvict !== null) {
-        const evictedEntry = this._deleteKey(keyToEvict);
+        const evictedEntry = this._removeEntry(keyToEvict, expired ? 'expire' : 'capacity');
         if (evictedEntry) {
-            if (this.onEvict) {
-                try {
-                    this.onEvict(keyToEvict, evictedEntry.value);
-                } catch (e) {
-                    console.error(`onEvict callback failed for key ${keyToEvict}:`, e);
-                }
+            if (expired) {
+                this._recordEviction('expire');
+            } else {
+                this._recordEviction('capacity', lowestPriority);
+                this._countCostClass(evictedEntry.costClass, 'evictions');
             }
         } else {
-             console.warn(`Attempted to evict key "${keyToEvict}" but it was not found (eee! race condition?).`);
+             console.warn(`Attempted to evict key "${String(keyToEvict)}" but it was not found (eee! race condition?).`);
         }
-    } else {
-        if (currentSize > 0) {
-            const fallbackIndex = Math.floor(Math.random() * currentSize);
-            const fallbackKey = this.keyListArray[fallbackIndex];
-            this._deleteKey(fallbackKey);
-            this._deleteKey(fallbackKey);
+    }
+    return true;
+  }
+
+  /**
+   * Merges a new sample into the eviction pool, re-validating the pooled candidates: keys that left the cache
+   * are dropped and the rest are re-scored, since their priorities drift as they age or are accessed.
+   * Keeps the evictionPoolSize lowest-priority candidates. The victim stays pooled until it leaves the cache,
+   * so it is still a candidate if the admission policy keeps it.
+   * @private
+   * @param {Map<K, number>} sampled The keys sampled by this eviction, with their priorities.
+   * @param {number} nowMs The current time in milliseconds.
+   * @returns {[K | null, number, boolean]} The best candidate, its priority and whether it expired, or [null, Infinity, false] if there is none.
+   */
+  _refillEvictionPool(sampled, nowMs) {
+    const candidates = [];
+    for (const key of this.evictionPool) {
+      const entry = this.cache.get(key);
+      if (entry === undefined || sampled.has(key)) {
+        continue;
+      }
+      if (this._isExpired(entry, nowMs)) {
+        return [key, -Infinity, true];
+      }
+      candidates.push([key, this._calculateHyperbolicPriority(key, nowMs)]);
+    }
+    candidates.push(...sampled);
+    candidates.sort((a, b) => a[1] - b[1]);
+    candidates.length = Math.min(candidates.length, this.evictionPoolSize);
+    this.evictionPool = candidates.map(([key]) => key);
+    return candidates.length > 0 ? [...candidates[0], false] : [null, Infinity, false];
+  }
+
+  /**
+   * Removes a key from the cache and notifies onEvict with the reason 'delete'.
+   * Unlike `clear()`, the frequency sketch is kept. A load for the key still in flight completes for its callers,
+   * but its value is not inserted.
+   * @param {K} key The key to delete.
+   * @returns {boolean} True if the key was in the cache.
+   */
+  delete(key) {
+    this.inFlight.delete(key);
+    if (!this._removeEntry(key, 'delete')) {
+      return false;
+    }
+    this._recordEviction('delete');
+    return true;
+  }
+
+  /**
+   * Deletes every entry for which predicate returns true, as `delete` does.
+   * @param {(value: T, key: K) => boolean} predicate Called for each entry.
+   * @returns {number} The number of entries deleted.
+   */
+  deleteWhere(predicate) {
+    let deleted = 0;
+    // Walk backwards: swap-and-pop only moves already-visited keys into the deleted slot.
+    for (let i = this.keyListArray.length - 1; i >= 0; --i) {
+      const key = this.keyListArray[i];
+      const entry = this.cache.get(key);
+      if (entry && predicate(entry.value, key) && this.delete(key)) {
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Deletes every entry set with the given tag, as `delete` does.
+   * @param {string} tag The tag to invalidate.
+   * @returns {number} The number of entries deleted.
+   */
+  invalidateTag(tag) {
+    const keys = this.tagIndex.get(tag);
+    if (keys === undefined) {
+      return 0;
+    }
+    let deleted = 0;
+    // delete() shrinks the set as it goes, so iterate over a copy.
+    for (const key of [...keys]) {
+      if (this.delete(key)) {
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Adds a key to the index of each of its tags.
+   * @private
+   * @param {K} key The key.
+   * @param {string[] | undefined} tags The entry's tags, if any.
+   */
+  _tag(key, tags) {
+    if (tags === undefined) {
+      return;
+    }
+    for (const tag of tags) {
+      let keys = this.tagIndex.get(tag);
+      if (keys === undefined) {
+        keys = new Set();
+        this.tagIndex.set(tag, keys);
+      }
+      keys.add(key);
+    }
+  }
+
+  /**
+   * Removes a key from the index of each of its tags, dropping tags that no longer have entries.
+   * @private
+   * @param {K} key The key.
+   * @param {string[] | undefined} tags The entry's tags, if any.
+   */
+  _untag(key, tags) {
+    if (tags === undefined) {
+      return;
+    }
+    for (const tag of tags) {
+      const keys = this.tagIndex.get(tag);
+      if (keys !== undefined) {
+        keys.delete(key);
+        if (keys.size === 0) {
+          this.tagIndex.delete(tag);
         }
+      }
     }
   }
 
@@ -244,25 +1983,614 @@ export class HyperbolicLRUCache {
    * @param {number} maxAge Maximum age in milliseconds.
    */
   cleanup(maxAge) {
-    const now = Date.now();
-    const keysToDelete = [];
-    const listLen = this.keyListArray.length;
-    for (let i = 0; i < listLen; ++i) {
+    const now = this.now();
+    // Walk backwards: swap-and-pop only moves already-visited keys into the deleted slot.
+    for (let i = this.keyListArray.length - 1; i >= 0; --i) {
         const key = this.keyListArray[i];
         const entry = this.cache.get(key);
         if (entry && (now - entry.timestamp > maxAge)) {
-            const deletedEntry = this._deleteKey(key);
-            if (this.onEvict && deletedEntry) {
-                try {
-                    this.onEvict(key, deletedEntry.value);
-                } catch (e) {
-                    console.error(`onEvict callback failed during cleanup for key ${key}:`, e);
-                }
+            if (this._removeEntry(key, 'cleanup')) {
+                this._recordEviction('cleanup');
             }
         }
     }
   }
 
+  /**
+   * Incrementally removes expired entries, resuming where the previous call stopped.
+   * Called by the background purge timer, but can also be called directly.
+   * @param {number} [limit=100] Maximum number of entries to examine.
+   * @returns {number} The number of expired entries removed.
+   */
+  purgeStale(limit = 100) {
+    const now = this.now();
+    let removed = 0;
+    for (let examined = 0; examined < limit && this.keyListArray.length > 0; ++examined) {
+      if (this.purgeCursor >= this.keyListArray.length) {
+        this.purgeCursor = 0;
+      }
+      const key = this.keyListArray[this.purgeCursor];
+      if (this._isExpired(this.cache.get(key), now)) {
+        // Swap-and-pop moves another key into this slot, so the cursor stays put.
+        this._expire(key);
+        removed++;
+      } else {
+        this.purgeCursor++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Stops the background purge timer and the memory-pressure timer, if running.
+   */
+  close() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+    if (this.pressure?.timer) {
+      clearInterval(this.pressure.timer);
+      this.pressure.timer = null;
+    }
+  }
+
+  /**
+   * Changes the capacity. When shrinking, evicts entries through the hyperbolic sampling policy until the cache fits.
+   * With memoryPressure enabled, the new capacity is also the one the controller grows back to.
+   * @param {number} newCapacity The new maximum number of items. Must be positive.
+   */
+  resize(newCapacity) {
+    if (!(newCapacity > 0)) {
+      throw new Error('Capacity must be positive.');
+    }
+    this.configuredCapacity = newCapacity;
+    this._setCapacity(newCapacity, 'resize');
+  }
+
+  /**
+   * Measures memory usage and shrinks or grows the capacity accordingly. Called on the memoryPressure timer,
+   * but can also be called directly, e.g. with `interval: 0`. Requires the `memoryPressure` option.
+   * @returns {number} The measured usage.
+   */
+  checkMemoryPressure() {
+    const pressure = this.pressure;
+    if (pressure === null) {
+      throw new Error('The memory-pressure controller is disabled. Create the cache with { memoryPressure: true }.');
+    }
+    const usage = pressure.usage();
+    const minCapacity = Math.max(1, Math.floor(this.configuredCapacity * pressure.minShare));
+    if (usage >= pressure.high) {
+      this._setCapacity(Math.max(minCapacity, Math.floor(this.capacity * pressure.shrinkFactor)), 'pressure');
+    } else if (usage <= pressure.low && this.capacity < this.configuredCapacity) {
+      const step = Math.max(1, Math.ceil(this.configuredCapacity * pressure.growStep));
+      this._setCapacity(Math.min(this.configuredCapacity, this.capacity + step), 'pressure');
+    }
+    return usage;
+  }
+
+  /**
+   * Validates the memoryPressure options and starts the check timer.
+   * @private
+   * @param {boolean | object} settings The memoryPressure option.
+   * @returns {MemoryPressure}
+   */
+  _createPressureController(settings) {
+    const {
+      high = 0.85,
+      low = 0.7,
+      shrinkFactor = 0.75,
+      growStep = 0.1,
+      minShare = 0.1,
+      interval = 1000,
+      maxRss,
+      usage = maxRss > 0 ? () => process.memoryUsage.rss() / maxRss : heapUsage
+    } = settings === true ? {} : settings;
+    if (!(low > 0 && low < high)) {
+      throw new Error('memoryPressure.low must be positive and below memoryPressure.high.');
+    }
+    if (!(shrinkFactor > 0 && shrinkFactor < 1) || !(growStep > 0) || !(minShare > 0 && minShare <= 1)) {
+      throw new Error('memoryPressure.shrinkFactor must be between 0 and 1, growStep positive, and minShare between 0 (exclusive) and 1.');
+    }
+    if (typeof usage !== 'function') {
+      throw new Error('memoryPressure.usage must be a function');
+    }
+    const pressure = { usage, high, low, shrinkFactor, growStep, minShare, timer: null };
+    if (interval > 0) {
+      pressure.timer = setInterval(() => this.checkMemoryPressure(), interval);
+      pressure.timer.unref?.();
+    }
+    return pressure;
+  }
+
+  /**
+   * Sets the current capacity, evicts down to it, resizes the autoTune shadow caches, and emits 'resize'.
+   * @private
+   * @param {number} capacity The new capacity.
+   * @param {'resize' | 'pressure'} reason Why the capacity changed.
+   */
+  _setCapacity(capacity, reason) {
+    const previousCapacity = this.capacity;
+    if (capacity === previousCapacity) {
+      return;
+    }
+    this.capacity = capacity;
+    while (this.cache.size > capacity) {
+      const sizeBefore = this.cache.size;
+      this.evict();
+      if (this.cache.size === sizeBefore) break;
+    }
+    if (this.tuner !== null) {
+      for (const candidate of this.tuner.candidates) {
+        candidate.cache.resize(shadowCapacity(capacity, this.tuner.keyFraction));
+      }
+    }
+    this.emit('resize', { capacity, previousCapacity, reason });
+  }
+
+  /**
+   * Gets the current sampleSize and the recent decisions of autoTune. Requires the `autoTune` option.
+   * @returns {AutoTuneState}
+   */
+  autoTuneState() {
+    const tuner = this.tuner;
+    if (tuner === null) {
+      throw new Error('Auto-tuning is disabled. Create the cache with { autoTune: true }.');
+    }
+    const rate = (hits) => (tuner.lookups === 0 ? 0 : hits / tuner.lookups);
+    return {
+      sampleSize: this.sampleSize,
+      minSampleSize: tuner.minSampleSize,
+      maxSampleSize: tuner.maxSampleSize,
+      keyFraction: tuner.keyFraction,
+      interval: tuner.interval,
+      window: {
+        lookups: tuner.lookups,
+        realHitRate: rate(tuner.hits),
+        hitRates: Object.fromEntries(tuner.candidates.map(({ sampleSize, hits }) => [sampleSize, rate(hits)]))
+      },
+      history: tuner.history.map((round) => ({ ...round, hitRates: { ...round.hitRates } }))
+    };
+  }
+
+  /**
+   * Validates the autoTune options and creates the shadow caches.
+   * @private
+   * @param {number} capacity The cache's capacity.
+   * @param {object} options The cache constructor options.
+   * @returns {AutoTuner<K>}
+   */
+  _createTuner(capacity, options) {
+    const settings = options.autoTune === true ? {} : options.autoTune;
+    const {
+      minSampleSize = 2,
+      maxSampleSize = 16,
+      // Every shadowed lookup is replayed on each shadow cache, so the fraction bounds the tuning overhead.
+      keyFraction = Math.min(0.1, Math.max(0.01, 1000 / capacity)),
+      interval = 10000,
+      tolerance = 0.005,
+      historySize = 20
+    } = settings;
+    if (!(minSampleSize >= 1) || !(maxSampleSize >= minSampleSize)) {
+      throw new Error('autoTune.minSampleSize must be at least 1, and autoTune.maxSampleSize at least minSampleSize.');
+    }
+    if (!(keyFraction > 0 && keyFraction <= 1)) {
+      throw new Error('autoTune.keyFraction must be between 0 (exclusive) and 1.');
+    }
+    if (!(interval > 0) || !(tolerance >= 0) || !(historySize >= 0)) {
+      throw new Error('autoTune.interval must be positive, and autoTune.tolerance and autoTune.historySize non-negative.');
+    }
+    this.sampleSize = Math.min(Math.max(this.sampleSize, minSampleSize), maxSampleSize);
+    const sampleSizes = [...new Set([...(settings.sampleSizes || AUTO_TUNE_CANDIDATES), this.sampleSize])]
+      .filter((size) => size >= minSampleSize && size <= maxSampleSize)
+      .sort((a, b) => a - b);
+
+    const candidates = sampleSizes.map((sampleSize, i) => ({
+      sampleSize,
+      hits: 0,
+      cache: new HyperbolicLRUCache(shadowCapacity(capacity, keyFraction), {
+        sampleSize,
+        seed: i + 1,
+        now: this.now,
+        keyHash: this.keyHash,
+        priorityMode: this.priorityMode,
+        priority: this.priority,
+        evictionPoolSize: this.evictionPoolSize,
+        admission: options.admission,
+        sketchEpsilon: options.sketchEpsilon,
+        sketchDelta: options.sketchDelta,
+        sketchDepth: options.sketchDepth
+      })
+    }));
+    return {
+      candidates,
+      threshold: Math.floor(keyFraction * 2 ** 32),
+      keyFraction,
+      minSampleSize,
+      maxSampleSize,
+      interval,
+      tolerance,
+      historySize,
+      lookups: 0,
+      hits: 0,
+      history: []
+    };
+  }
+
+  /**
+   * Whether autoTune shadows a key. The same keys are always shadowed, so shadow caches see their full access history.
+   * @private
+   * @param {K} key The key.
+   * @returns {boolean}
+   */
+  _isShadowed(key) {
+    return this.tuner !== null && hashString(this.keyHash(key)) < this.tuner.threshold;
+  }
+
+  /**
+   * Replays a set on the shadow caches, if autoTune shadows the key.
+   * @private
+   * @param {K} key The key being set.
+   * @param {number} cost The entry's miss cost.
+   * @param {number} ttl The entry's time-to-live.
+   */
+  _shadowSet(key, cost, ttl) {
+    if (!this._isShadowed(key)) {
+      return;
+    }
+    for (const candidate of this.tuner.candidates) {
+      candidate.cache.set(key, true, { cost, ttl });
+    }
+  }
+
+  /**
+   * Replays a lookup on the shadow caches, if autoTune shadows the key, and ends the round once it has enough lookups.
+   * A shadow cache that misses a key the cache itself hit inserts the key right away, since no `set` will follow;
+   * after a real miss it waits for the caller's `set`.
+   * @private
+   * @param {K} key The key looked up.
+   * @param {CacheEntry<T> | undefined} entry The live entry the cache itself found, if any.
+   */
+  _shadowLookup(key, entry) {
+    if (!this._isShadowed(key)) {
+      return;
+    }
+    const tuner = this.tuner;
+    tuner.lookups++;
+    if (entry !== undefined) {
+      tuner.hits++;
+    }
+    for (const candidate of tuner.candidates) {
+      if (candidate.cache.get(key) !== undefined) {
+        candidate.hits++;
+      } else if (entry !== undefined) {
+        const ttl = entry.expiresAt > 0 ? entry.expiresAt - this.now() : 0;
+        candidate.cache.set(key, true, { cost: this._entryCost(entry), ttl });
+      }
+    }
+    if (tuner.lookups >= tuner.interval) {
+      this._retune();
+    }
+  }
+
+  /**
+   * Ends an autoTune round: switches to the candidate with the best hit rate, unless the current sampleSize is within
+   * tolerance of it (ties go to the smaller sampleSize), records the round and emits 'tune'.
+   * @private
+   */
+  _retune() {
+    const tuner = this.tuner;
+    const rate = (hits) => hits / tuner.lookups;
+    let best = tuner.candidates[0];
+    for (const candidate of tuner.candidates) {
+      if (candidate.hits > best.hits) {
+        best = candidate;
+      }
+    }
+    const current = tuner.candidates.find((candidate) => candidate.sampleSize === this.sampleSize);
+    const previousSampleSize = this.sampleSize;
+    if (rate(best.hits) - rate(current.hits) > tuner.tolerance) {
+      this.sampleSize = best.sampleSize;
+    }
+    const round = {
+      at: this.now(),
+      lookups: tuner.lookups,
+      realHitRate: rate(tuner.hits),
+      hitRates: Object.fromEntries(tuner.candidates.map(({ sampleSize, hits }) => [sampleSize, rate(hits)])),
+      previousSampleSize,
+      sampleSize: this.sampleSize
+    };
+    tuner.history.push(round);
+    if (tuner.history.length > tuner.historySize) {
+      tuner.history.shift();
+    }
+    tuner.lookups = 0;
+    tuner.hits = 0;
+    for (const candidate of tuner.candidates) {
+      candidate.hits = 0;
+    }
+    this.emit('tune', round);
+  }
+
+  /**
+   * Increments a statistics counter, if statistics are enabled.
+   * @private
+   * @param {string} name The counter to increment.
+   * @param {number} [amount=1] The amount to add.
+   */
+  _count(name, amount = 1) {
+    if (this.statistics !== null) {
+      this.statistics[name] += amount;
+    }
+  }
+
+  /**
+   * Increments a per cost class statistics counter, if statistics are enabled.
+   * @private
+   * @param {string | undefined} name The cost class, if any.
+   * @param {'hits' | 'misses' | 'evictions'} counter The counter to increment.
+   */
+  _countCostClass(name, counter) {
+    if (this.statistics === null || name === undefined) {
+      return;
+    }
+    let counters = this.statistics.costClasses.get(name);
+    if (counters === undefined) {
+      counters = { hits: 0, misses: 0, evictions: 0 };
+      this.statistics.costClasses.set(name, counters);
+    }
+    counters[counter]++;
+  }
+
+  /**
+   * Counts removed entries by reason, and records the priority of victims chosen by `evict()`.
+   * @private
+   * @param {string} reason One of EVICTION_REASONS.
+   * @param {number} [victimPriority] The hyperbolic priority of the evicted entry, when chosen by priority.
+   * @param {number} [count=1] The number of entries removed.
+   */
+  _recordEviction(reason, victimPriority, count = 1) {
+    const stats = this.statistics;
+    if (stats === null) {
+      return;
+    }
+    stats.evictions[reason] += count;
+    if (victimPriority !== undefined) {
+      const histogram = stats.victimPriority;
+      const bucket = VICTIM_PRIORITY_BUCKETS.findIndex(bound => victimPriority <= bound);
+      histogram.counts[bucket === -1 ? VICTIM_PRIORITY_BUCKETS.length : bucket]++;
+      histogram.sum += victimPriority;
+      histogram.count++;
+    }
+  }
+
+  /**
+   * Resets all statistics counters, enabling statistics if they were disabled.
+   */
+  resetStats() {
+    const evictions = {};
+    for (const reason of EVICTION_REASONS) {
+      evictions[reason] = 0;
+    }
+    this.statistics = {
+      hits: 0,
+      misses: 0,
+      sets: 0,
+      overwrites: 0,
+      rejections: 0,
+      evictions,
+      costClasses: new Map(),
+      // One count per bucket, plus a final +Inf bucket.
+      victimPriority: { counts: new Array(VICTIM_PRIORITY_BUCKETS.length + 1).fill(0), sum: 0, count: 0 }
+    };
+  }
+
+  /**
+   * Gets the cache statistics. Requires the `stats` option.
+   * @returns {CacheStats}
+   */
+  stats() {
+    const stats = this.statistics;
+    if (stats === null) {
+      throw new Error('Statistics are disabled. Create the cache with { stats: true }.');
+    }
+    const lookups = stats.hits + stats.misses;
+    let cumulative = 0;
+    const buckets = VICTIM_PRIORITY_BUCKETS.map((le, i) => {
+      cumulative += stats.victimPriority.counts[i];
+      return { le, count: cumulative };
+    });
+    buckets.push({ le: Infinity, count: stats.victimPriority.count });
+    return {
+      hits: stats.hits,
+      misses: stats.misses,
+      hitRate: lookups === 0 ? 0 : stats.hits / lookups,
+      sets: stats.sets,
+      overwrites: stats.overwrites,
+      rejections: stats.rejections,
+      evictions: { ...stats.evictions },
+      victimPriority: { buckets, sum: stats.victimPriority.sum, count: stats.victimPriority.count },
+      size: this.cache.size,
+      calculatedSize: this.totalSize,
+      sampleSize: this.sampleSize,
+      capacity: this.capacity,
+      costClasses: Object.fromEntries([...this.costClasses].map(([name, { cost, samples, entries }]) => {
+        const { hits = 0, misses = 0, evictions = 0 } = stats.costClasses.get(name) || {};
+        return [name, { cost, samples, entries, hits, misses, evictions }];
+      }))
+    };
+  }
+
+  /**
+   * Formats the cache statistics in the Prometheus text exposition format. Requires the `stats` option.
+   * @param {string} [prefix='hyperbolic_lru'] Prefix of every metric name.
+   * @returns {string}
+   */
+  toPrometheus(prefix = 'hyperbolic_lru') {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(prefix)) {
+      throw new Error(`Invalid Prometheus metric prefix "${prefix}".`);
+    }
+    const stats = this.stats();
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`);
+      for (const [labels, value] of samples) {
+        lines.push(`${prefix}_${name}${labels} ${value}`);
+      }
+    };
+
+    metric('hits_total', 'counter', 'Lookups that found a live entry.', [['', stats.hits]]);
+    metric('misses_total', 'counter', 'Lookups that found no live entry.', [['', stats.misses]]);
+    metric('sets_total', 'counter', 'Values stored, including overwrites.', [['', stats.sets]]);
+    metric('overwrites_total', 'counter', 'Sets that replaced an existing entry.', [['', stats.overwrites]]);
+    metric('rejections_total', 'counter', 'New keys refused by admission or maxSize.', [['', stats.rejections]]);
+    metric('evictions_total', 'counter', 'Entries removed from the cache, by reason.',
+      Object.entries(stats.evictions).map(([reason, count]) => [`{reason="${reason}"}`, count]));
+    metric('entries', 'gauge', 'Current number of entries.', [['', stats.size]]);
+    metric('calculated_size', 'gauge', 'Current total weight of the entries.', [['', stats.calculatedSize]]);
+    metric('capacity', 'gauge', 'Current maximum number of entries.', [['', this.capacity]]);
+    metric('sample_size', 'gauge', 'Number of entries sampled per eviction.', [['', stats.sampleSize]]);
+
+    const classes = Object.entries(stats.costClasses).map(([name, counters]) => [`{class="${escapeLabel(name)}"}`, counters]);
+    const perClass = (field) => classes.map(([labels, counters]) => [labels, counters[field]]);
+    metric('cost_class_cost', 'gauge', 'Learned miss cost of each cost class.', perClass('cost'));
+    metric('cost_class_entries', 'gauge', 'Current number of entries in each cost class.', perClass('entries'));
+    metric('cost_class_hits_total', 'counter', 'Lookups that found a live entry, by cost class.', perClass('hits'));
+    metric('cost_class_misses_total', 'counter', 'Miss costs recorded, by cost class.', perClass('misses'));
+    metric('cost_class_evictions_total', 'counter', 'Entries evicted for capacity, by cost class.', perClass('evictions'));
+
+    const histogram = stats.victimPriority;
+    metric('victim_priority', 'histogram', 'Hyperbolic priority of entries chosen for eviction.', [
+      ...histogram.buckets.map(({ le, count }) => [`_bucket{le="${le === Infinity ? '+Inf' : le}"}`, count]),
+      ['_sum', histogram.sum],
+      ['_count', histogram.count]
+    ]);
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Exports the entries, their timestamps and metadata, the frequency sketch and the eviction pool, so that `load`
+   * can restore them (e.g. to warm up a cache after a restart).
+   * @param {object} [options] Dump options.
+   * @param {'json' | 'binary'} [options.format='json'] 'json' returns a JSON-compatible object, 'binary' returns a compact Buffer.
+   * @param {(value: T, key: K) => *} [options.serializeValue] Converts each value before it is written. Defaults to writing values as-is.
+   * @param {(key: K) => *} [options.serializeKey] Converts each key before it is written. Defaults to writing keys as-is.
+   * @returns {object | Buffer} The snapshot.
+   */
+  dump(options = {}) {
+    const { format = 'json', serializeValue = (value) => value, serializeKey = (key) => key } = options;
+    if (format !== 'json' && format !== 'binary') {
+      throw new Error(`Unsupported dump format "${format}".`);
+    }
+    const binary = format === 'binary';
+
+    const entries = [];
+    for (const key of this.keyListArray) {
+      const { value, keyArrayIndex, ...meta } = this.cache.get(key);
+      entries.push([serializeKey(key), serializeValue(value, key), meta]);
+    }
+    const snapshot = {
+      version: DUMP_VERSION,
+      entries,
+      sketch: snapshotSketch(this.sketch, binary),
+      previousSketch: this.previousSketch ? snapshotSketch(this.previousSketch, binary) : null,
+      agingUpdates: this.agingUpdates,
+      doorkeeper: this.doorkeeper ? [...this.doorkeeper] : null,
+      // Pooled candidates are stored as indices into entries, so keys need no second serialization.
+      evictionPool: this.evictionPool
+        ? this.evictionPool.filter((key) => this.cache.has(key)).map((key) => this.cache.get(key).keyArrayIndex)
+        : null,
+      costClasses: [...this.costClasses].map(([name, { cost, samples }]) => [name, { cost, samples }])
+    };
+    return binary ? Buffer.concat([BINARY_MAGIC, serialize(snapshot)]) : snapshot;
+  }
+
+  /**
+   * Replaces the contents of the cache with a snapshot produced by `dump`.
+   * Entries keep their order, timestamps and metadata, so the restored cache makes the same eviction decisions.
+   * If the snapshot holds more than capacity or maxSize allows, the excess is evicted.
+   * @param {object | string | Buffer} snapshot The snapshot, as returned by `dump` or serialized with JSON.stringify.
+   * @param {object} [options] Load options.
+   * @param {(data: *, key: K) => T} [options.deserializeValue] Reverses the dump's serializeValue. Defaults to reading values as-is.
+   * @param {(data: *) => K} [options.deserializeKey] Reverses the dump's serializeKey. Defaults to reading keys as-is.
+   */
+  load(snapshot, options = {}) {
+    const { deserializeValue = (value) => value, deserializeKey = (key) => key } = options;
+    if (Buffer.isBuffer(snapshot)) {
+      if (!snapshot.subarray(0, BINARY_MAGIC.length).equals(BINARY_MAGIC)) {
+        throw new Error('Invalid binary snapshot: missing header.');
+      }
+      snapshot = deserialize(snapshot.subarray(BINARY_MAGIC.length));
+    } else if (typeof snapshot === 'string') {
+      snapshot = JSON.parse(snapshot);
+    }
+    if (!snapshot || snapshot.version !== DUMP_VERSION) {
+      throw new Error(`Unsupported snapshot version (${snapshot && snapshot.version}).`);
+    }
+
+    this.cache.clear();
+    this.keyListArray = [];
+    this.inFlight.clear();
+    this.tagIndex.clear();
+    this.totalSize = 0;
+    this.purgeCursor = 0;
+    if (this.evictionPool !== null) {
+      this.evictionPool = [];
+    }
+    for (const record of this.costClasses.values()) {
+      record.entries = 0;
+    }
+    for (const [name, { cost, samples }] of snapshot.costClasses || []) {
+      Object.assign(this._costClass(name), { cost, samples });
+    }
+
+    restoreSketch(this.sketch, snapshot.sketch);
+    if (this.previousSketch) {
+      if (snapshot.previousSketch) {
+        restoreSketch(this.previousSketch, snapshot.previousSketch);
+      } else {
+        this.previousSketch.clear();
+      }
+      this.agingUpdates = snapshot.agingUpdates || 0;
+    }
+    if (this.doorkeeper) {
+      this.doorkeeper = new Set(snapshot.doorkeeper || []);
+    }
+    if (this.heavyHitters !== null) {
+      // Snapshots carry no heavy-hitter counters; the summary restarts from the loaded traffic.
+      this.heavyHitters = [];
+      this.heavyHitterPositions.clear();
+    }
+
+    for (const [serializedKey, value, meta] of snapshot.entries) {
+      const key = deserializeKey(serializedKey);
+      const entry = {
+        insertedAt: meta.timestamp,
+        hits: 1,
+        ...meta,
+        value: deserializeValue(value, key),
+        keyArrayIndex: this.keyListArray.length
+      };
+      this.cache.set(key, entry);
+      this.keyListArray.push(key);
+      this.totalSize += entry.size;
+      this._joinCostClass(entry.costClass);
+      this._tag(key, entry.tags);
+    }
+    if (this.evictionPool !== null) {
+      this.evictionPool = (snapshot.evictionPool || [])
+        .map((index) => this.keyListArray[index])
+        .filter((key) => key !== undefined)
+        .slice(0, this.evictionPoolSize);
+    }
+
+    while (this.cache.size > this.capacity || (this.maxSize && this.totalSize > this.maxSize)) {
+      const sizeBefore = this.cache.size;
+      this.evict();
+      if (this.cache.size === sizeBefore) break;
+    }
+  }
+
   /**
    * Gets the current size of the cache.
    * @returns {number} The number of items currently in the cache.
@@ -271,13 +2599,58 @@ export class HyperbolicLRUCache {
     return this.cache.size;
   }
 
+  /**
+   * Gets the total weight of the cache, as computed by sizeCalculation or passed to `set`.
+   * @returns {number} The sum of the sizes of all items currently in the cache.
+   */
+  calculatedSize() {
+    return this.totalSize;
+  }
+
   /**
    * Clears the cache, the key list array, and the associated Count-Min Sketch.
+   * Loads still in flight complete for their callers, but their values are not inserted.
+   * Cost classes keep their learned costs. Values are disposed with the reason 'clear', but onEvict is not called.
    */
   clear() {
+    const entries = this.dispose || this.disposeAfter ? [...this.cache] : [];
+    for (const [key, entry] of entries) {
+      this._runDisposer(this.dispose, entry.value, key, 'clear');
+    }
+    const size = this.cache.size;
+    this._recordEviction('clear', undefined, size);
     this.cache.clear();
     this.sketch.clear();
+    if (this.previousSketch) {
+      this.previousSketch.clear();
+    }
+    this.agingUpdates = 0;
+    if (this.doorkeeper !== null) {
+      this.doorkeeper.clear();
+    }
     this.keyListArray = [];
-
+    this.inFlight.clear();
+    this.tagIndex.clear();
+    this.totalSize = 0;
+    this.purgeCursor = 0;
+    if (this.evictionPool !== null) {
+      this.evictionPool = [];
+    }
+    for (const record of this.costClasses.values()) {
+      record.entries = 0;
+    }
+    if (this.tuner !== null) {
+      for (const candidate of this.tuner.candidates) {
+        candidate.cache.clear();
+      }
+    }
+    if (this.heavyHitters !== null) {
+      this.heavyHitters = [];
+      this.heavyHitterPositions.clear();
+    }
+    this.emit('clear', { size, reason: 'clear' });
+    for (const [key, entry] of entries) {
+      this._runDisposer(this.disposeAfter, entry.value, key, 'clear');
+    }
   }
 }
\ No newline at end of file
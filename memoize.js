@@ -0,0 +1,121 @@
+import { performance } from 'perf_hooks';
+import { HyperbolicLRUCache, defaultKeyHash } from './index.js';
+
+/**
+ * Maps a memoized function's arguments to a cache key. Two calls with equal keys share a result.
+ * @typedef {(...args: any[]) => *} KeyResolver
+ */
+
+/**
+ * A memoized function, with access to its cache.
+ * @template {(...args: any[]) => any} F
+ * @typedef {F & { cache: HyperbolicLRUCache<ReturnType<F>, *>, keyFor: (...args: Parameters<F>) => * }} Memoized
+ */
+
+/**
+ * The default KeyResolver: encodes the arguments as a string. Strings, numbers, bigints, booleans, null and undefined are
+ * compared by value, as are Dates, typed arrays, and arrays and plain objects of comparable values (object keys in any order).
+ * Functions, symbols, Maps, Sets and class instances are compared by identity.
+ * @param {...*} args The arguments.
+ * @returns {string}
+ */
+export function hashArguments(...args) {
+  return encodeArgument(args, new Set());
+}
+
+/**
+ * Encodes one argument for hashArguments.
+ * @param {*} value The argument.
+ * @param {Set<object>} path Arrays and objects being encoded, to detect cycles.
+ * @returns {string}
+ */
+function encodeArgument(value, path) {
+  if (typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+  if (typeof value !== 'object' || value === null || ArrayBuffer.isView(value)) {
+    return defaultKeyHash(value);
+  }
+  if (value instanceof Date) {
+    return `\u0000date:${value.getTime()}`;
+  }
+  const proto = Object.getPrototypeOf(value);
+  const isArray = Array.isArray(value);
+  if (!isArray && proto !== Object.prototype && proto !== null) {
+    return defaultKeyHash(value);
+  }
+  if (path.has(value)) {
+    throw new Error('Cannot hash circular arguments. Pass a keyFn to memoize.');
+  }
+  path.add(value);
+  const encoded = isArray
+    ? `[${value.map((item) => encodeArgument(item, path)).join(',')}]`
+    : `{${Object.keys(value).sort().map((name) => `${JSON.stringify(name)}:${encodeArgument(value[name], path)}`).join(',')}}`;
+  path.delete(value);
+  return encoded;
+}
+
+/**
+ * Wraps a function so that its results are cached in a HyperbolicLRUCache.
+ * Functions returning promises are supported: concurrent calls with the same key share one call,
+ * the cache holds the resolved promise, and rejections are not cached. Deleting a key while its call is running
+ * (or clearing the cache) keeps that call's result out of the cache.
+ * @template {(...args: any[]) => any} F
+ * @param {F} fn The function to memoize. It should be pure: equal keys must give interchangeable results.
+ * @param {object} [options] Configuration options. Any other options are passed to the HyperbolicLRUCache.
+ * @param {number} [options.capacity=1000] Maximum number of results to keep.
+ * @param {KeyResolver} [options.keyFn=hashArguments] Maps the arguments of a call to its cache key.
+ * @param {boolean} [options.measureCost=true] Uses each call's execution time in milliseconds (until the promise settles,
+ * for async functions) as the miss cost of its result, so slow results stay cached longer.
+ * @returns {Memoized<F>} The memoized function. `cache` is the underlying cache, and `keyFor(...args)` returns
+ * the key of a call, e.g. to invalidate it with `memoized.cache.delete(memoized.keyFor(...args))`.
+ */
+export function memoize(fn, options = {}) {
+  if (typeof fn !== 'function') {
+    throw new Error('memoize expects a function');
+  }
+  const { capacity = 1000, keyFn = hashArguments, measureCost = true, ...cacheOptions } = options;
+  if (typeof keyFn !== 'function') {
+    throw new Error('keyFn must be a function');
+  }
+  const cache = new HyperbolicLRUCache(capacity, cacheOptions);
+
+  function memoized(...args) {
+    const key = keyFn(...args);
+    const cached = cache.get(key);
+    if (cached !== undefined || cache.has(key)) {
+      return cached;
+    }
+    // Calls whose promise has not settled yet are tracked as the cache's in-flight loads, shared with `fetch`,
+    // so `delete(key)`, `clear()` and `load()` invalidate them too and their results are not cached afterwards.
+    const running = cache.inFlight.get(key);
+    if (running !== undefined) {
+      return running.promise;
+    }
+
+    const start = performance.now();
+    const result = fn.apply(this, args);
+    if (typeof result?.then !== 'function') {
+      cache.set(key, result, measureCost ? { cost: performance.now() - start } : undefined);
+      return result;
+    }
+    const promise = Promise.resolve(result);
+    const load = { key, promise, controller: new AbortController(), waiters: 0 };
+    cache.inFlight.set(key, load);
+    promise.then(() => {
+      if (cache.inFlight.get(key) === load) {
+        cache.inFlight.delete(key);
+        cache.set(key, promise, measureCost ? { cost: performance.now() - start } : undefined);
+      }
+    }, () => {
+      if (cache.inFlight.get(key) === load) {
+        cache.inFlight.delete(key);
+      }
+    });
+    return promise;
+  }
+
+  memoized.cache = cache;
+  memoized.keyFor = keyFn;
+  return memoized;
+}
@@ -0,0 +1,384 @@
+import { HyperbolicLRUCache, defaultKeyHash } from './index.js';
+
+/**
+ * Statistics of a sharded cache, as returned by `ShardedHyperbolicLRUCache#stats()`.
+ * The counters are summed over the shards; hitRate and the victim priority histogram are computed over all of them.
+ * Each shard has its own sampleSize, reported in `shards`.
+ * @typedef {Omit<import('./index.js').CacheStats, 'sampleSize'> & { capacity: number, shards: ShardStats[] }} ShardedCacheStats
+ */
+
+/**
+ * Per shard figures, as returned in `stats().shards`.
+ * @typedef {object} ShardStats
+ * @property {number} capacity - The shard's current capacity.
+ * @property {number} size - Current number of entries in the shard.
+ * @property {number} sampleSize - The shard's current eviction sample size.
+ * @property {number} hits - Lookups that found a live entry in the shard.
+ * @property {number} misses - Lookups that found no live entry in the shard.
+ * @property {number} ghostHits - Misses on keys the shard recently evicted, in the current rebalancing window.
+ */
+
+/**
+ * Picks the shard of a key: FNV-1a of its keyHash string, then a murmur3 finalizer so every bit of the hash
+ * reaches the low bits used for the shard index.
+ * @param {string} value The key's keyHash string.
+ * @returns {number}
+ */
+function shardHash(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Splits a total into integer parts proportional to weights, handing the rounding remainder to the largest fractions.
+ * @param {number} total The total to split.
+ * @param {number[]} weights Non-negative weights, not all zero.
+ * @returns {number[]}
+ */
+function apportion(total, weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const exact = weights.map((weight) => (total * weight) / sum);
+  const parts = exact.map(Math.floor);
+  let remainder = total - parts.reduce((a, b) => a + b, 0);
+  const order = exact.map((value, i) => [value - parts[i], i]).sort((a, b) => b[0] - a[0]);
+  for (let i = 0; remainder > 0; i = (i + 1) % order.length, remainder--) {
+    parts[order[i][1]]++;
+  }
+  return parts;
+}
+
+/**
+ * A HyperbolicLRUCache split into segments by key hash, for very large capacities.
+ * Each segment has its own sketch, key list and eviction sampling, so no operation walks or updates a structure
+ * that covers every key. Capacity is split evenly, or moved adaptively to the segments that need it most.
+ * @template T The type of values stored in the cache
+ * @template [K=string] The type of keys.
+ */
+export class ShardedHyperbolicLRUCache {
+  /**
+   * The segments. Each is a HyperbolicLRUCache, e.g. for listening to its events.
+   * @type {HyperbolicLRUCache<T, K>[]}
+   */
+  shards;
+  /** @private */
+  capacity;
+  /**
+   * @private Maps keys to the strings hashed to pick their shard.
+   * @type {(key: K) => string}
+   */
+  keyHash;
+  /**
+   * @private Whether capacity moves between shards.
+   * @type {'even' | 'adaptive'}
+   */
+  capacitySplit;
+  /**
+   * @private Lower bound of each shard's capacity with adaptive splitting.
+   * @type {number}
+   */
+  minShardCapacity;
+  /**
+   * @private Lookups between adaptive rebalancings.
+   * @type {number}
+   */
+  rebalanceInterval;
+  /**
+   * @private Lookups since the last rebalancing.
+   * @type {number}
+   */
+  lookups;
+  /**
+   * @private Recently evicted keys of each shard, oldest first, or null with even splitting.
+   * @type {Set<K>[] | null}
+   */
+  ghosts;
+  /**
+   * @private Maximum number of keys in each ghost list.
+   * @type {number}
+   */
+  ghostSize;
+  /**
+   * @private Misses on ghost keys per shard since the last rebalancing.
+   * @type {number[]}
+   */
+  ghostHits;
+
+  /**
+   * Creates a new ShardedHyperbolicLRUCache instance.
+   * @param {number} capacity Maximum number of items across all shards. Must be at least the number of shards.
+   * @param {object} [options] Configuration options. Any other options are passed to every shard's HyperbolicLRUCache.
+   * `maxSize` is split across shards like capacity; `seed` is offset per shard.
+   * @param {number} [options.shards=16] Number of shards.
+   * @param {'even' | 'adaptive'} [options.capacitySplit='even'] 'even' gives every shard the same capacity. 'adaptive' periodically
+   * moves capacity to the shards whose misses are most often on keys they recently evicted, i.e. that would gain most from more room.
+   * @param {number} [options.rebalanceInterval=10000] Lookups between adaptive rebalancings.
+   * @param {number} [options.minShardShare=0.5] Lowest capacity of a shard with adaptive splitting, as a share of the even split.
+   */
+  constructor(capacity, options = {}) {
+    const {
+      shards = 16,
+      capacitySplit = 'even',
+      rebalanceInterval = 10000,
+      minShardShare = 0.5,
+      ...cacheOptions
+    } = options;
+    if (!Number.isInteger(shards) || shards < 1) {
+      throw new Error('shards must be a positive integer.');
+    }
+    if (!(capacity >= shards) || !Number.isInteger(capacity)) {
+      throw new Error('Capacity must be an integer of at least the number of shards.');
+    }
+    if (capacitySplit !== 'even' && capacitySplit !== 'adaptive') {
+      throw new Error(`Unsupported capacitySplit "${capacitySplit}".`);
+    }
+    if (!(rebalanceInterval > 0) || !(minShardShare >= 0 && minShardShare <= 1)) {
+      throw new Error('rebalanceInterval must be positive, and minShardShare between 0 and 1.');
+    }
+    if (cacheOptions.sketchInstance || cacheOptions.agingSketchInstance) {
+      throw new Error('Shards need their own sketches; sketchInstance and agingSketchInstance are not supported.');
+    }
+
+    this.capacity = capacity;
+    this.keyHash = cacheOptions.keyHash || defaultKeyHash;
+    this.capacitySplit = capacitySplit;
+    this.rebalanceInterval = rebalanceInterval;
+    this.lookups = 0;
+    const capacities = apportion(capacity, new Array(shards).fill(1));
+    const maxSizes = cacheOptions.maxSize ? apportion(cacheOptions.maxSize, new Array(shards).fill(1)) : null;
+    this.shards = capacities.map((shardCapacity, i) => new HyperbolicLRUCache(shardCapacity, {
+      ...cacheOptions,
+      maxSize: maxSizes ? maxSizes[i] : undefined,
+      seed: cacheOptions.seed === undefined ? undefined : cacheOptions.seed + i
+    }));
+
+    this.minShardCapacity = Math.max(1, Math.floor((capacity / shards) * minShardShare));
+    this.ghosts = null;
+    this.ghostHits = new Array(shards).fill(0);
+    this.ghostSize = 0;
+    if (capacitySplit === 'adaptive') {
+      this.ghostSize = Math.max(1, Math.ceil(capacity / shards / 4));
+      this.ghosts = this.shards.map((shard) => {
+        const ghost = new Set();
+        shard.on('evict', ({ key }) => {
+          ghost.add(key);
+          if (ghost.size > this.ghostSize) {
+            ghost.delete(ghost.values().next().value);
+          }
+        });
+        return ghost;
+      });
+    }
+  }
+
+  /**
+   * Sets a value in the key's shard.
+   * @param {K} key The key to store the value under.
+   * @param {T} value The value to store.
+   * @param {object} [options] Per-entry options, as for `HyperbolicLRUCache#set`.
+   */
+  set(key, value, options) {
+    const index = this._shardIndex(key);
+    this.ghosts?.[index].delete(key);
+    this.shards[index].set(key, value, options);
+  }
+
+  /**
+   * Gets a value from the key's shard. Updates its frequency estimate and timestamp if found.
+   * @param {K} key The key to retrieve.
+   * @returns {T | undefined} The value if found, undefined otherwise.
+   */
+  get(key) {
+    const index = this._shardIndex(key);
+    const value = this.shards[index].get(key);
+    if (this.ghosts !== null) {
+      if (value === undefined && this.ghosts[index].delete(key)) {
+        this.ghostHits[index]++;
+      }
+      if (++this.lookups >= this.rebalanceInterval) {
+        this.rebalance();
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Gets a value without updating its frequency estimate or timestamp.
+   * @param {K} key The key to read.
+   * @returns {T | undefined} The value if found and not expired, undefined otherwise.
+   */
+  peek(key) {
+    return this._shard(key).peek(key);
+  }
+
+  /**
+   * Checks if a key exists. Does not update sketch or timestamp.
+   * @param {K} key The key to check.
+   * @returns {boolean}
+   */
+  has(key) {
+    return this._shard(key).has(key);
+  }
+
+  /**
+   * Removes a key from its shard.
+   * @param {K} key The key to delete.
+   * @returns {boolean} True if the key was in the cache.
+   */
+  delete(key) {
+    return this._shard(key).delete(key);
+  }
+
+  /**
+   * Gets the number of items across all shards.
+   * @returns {number}
+   */
+  size() {
+    let size = 0;
+    for (const shard of this.shards) {
+      size += shard.size();
+    }
+    return size;
+  }
+
+  /**
+   * Removes items older than maxAge from every shard.
+   * @param {number} maxAge Maximum age in milliseconds.
+   */
+  cleanup(maxAge) {
+    for (const shard of this.shards) {
+      shard.cleanup(maxAge);
+    }
+  }
+
+  /**
+   * Removes every item and resets every shard's sketch. Shard capacities are kept.
+   */
+  clear() {
+    for (const shard of this.shards) {
+      shard.clear();
+    }
+    if (this.ghosts !== null) {
+      for (const ghost of this.ghosts) {
+        ghost.clear();
+      }
+      this.ghostHits.fill(0);
+      this.lookups = 0;
+    }
+  }
+
+  /**
+   * Stops every shard's background purge timer.
+   */
+  close() {
+    for (const shard of this.shards) {
+      shard.close();
+    }
+  }
+
+  /**
+   * Moves capacity towards the shards with the most ghost hits since the last rebalancing, halfway at a time.
+   * Every shard keeps at least minShardShare of the even split. Shards that shrink evict right away.
+   * Called every rebalanceInterval lookups with adaptive splitting, but can also be called directly.
+   */
+  rebalance() {
+    this.lookups = 0;
+    const count = this.shards.length;
+    const spare = this.capacity - this.minShardCapacity * count;
+    // Add-one smoothing keeps shards without ghost hits from losing everything above the floor after one quiet window.
+    const targets = apportion(spare, this.ghostHits.map((hits) => hits + 1)).map((share) => share + this.minShardCapacity);
+    const capacities = apportion(this.capacity, this.shards.map((shard, i) => (shard.capacity + targets[i]) / 2));
+    this.ghostHits.fill(0);
+    this.shards.forEach((shard, i) => shard.resize(Math.max(1, capacities[i])));
+  }
+
+  /**
+   * Gets the statistics of all shards combined. Requires the `stats` option.
+   * @returns {ShardedCacheStats}
+   */
+  stats() {
+    const all = this.shards.map((shard) => shard.stats());
+    const sum = (pick) => all.reduce((total, stats) => total + pick(stats), 0);
+    const hits = sum((stats) => stats.hits);
+    const misses = sum((stats) => stats.misses);
+    const evictions = {};
+    for (const reason of Object.keys(all[0].evictions)) {
+      evictions[reason] = sum((stats) => stats.evictions[reason]);
+    }
+    const costClasses = {};
+    for (const stats of all) {
+      for (const [name, perClass] of Object.entries(stats.costClasses)) {
+        const total = costClasses[name];
+        // Learned costs are per shard; report the average weighted by samples.
+        costClasses[name] = total === undefined ? { ...perClass } : {
+          cost: total.samples + perClass.samples === 0 ? total.cost
+            : (total.cost * total.samples + perClass.cost * perClass.samples) / (total.samples + perClass.samples),
+          samples: total.samples + perClass.samples,
+          entries: total.entries + perClass.entries,
+          hits: total.hits + perClass.hits,
+          misses: total.misses + perClass.misses,
+          evictions: total.evictions + perClass.evictions
+        };
+      }
+    }
+    return {
+      hits,
+      misses,
+      hitRate: hits + misses === 0 ? 0 : hits / (hits + misses),
+      sets: sum((stats) => stats.sets),
+      overwrites: sum((stats) => stats.overwrites),
+      rejections: sum((stats) => stats.rejections),
+      evictions,
+      victimPriority: {
+        buckets: all[0].victimPriority.buckets.map(({ le }, i) => ({ le, count: sum((stats) => stats.victimPriority.buckets[i].count) })),
+        sum: sum((stats) => stats.victimPriority.sum),
+        count: sum((stats) => stats.victimPriority.count)
+      },
+      size: sum((stats) => stats.size),
+      calculatedSize: sum((stats) => stats.calculatedSize),
+      costClasses,
+      capacity: this.capacity,
+      shards: all.map((stats, i) => ({
+        capacity: this.shards[i].capacity,
+        size: stats.size,
+        sampleSize: stats.sampleSize,
+        hits: stats.hits,
+        misses: stats.misses,
+        ghostHits: this.ghostHits[i]
+      }))
+    };
+  }
+
+  /**
+   * Resets the statistics of every shard, enabling statistics if they were disabled.
+   */
+  resetStats() {
+    for (const shard of this.shards) {
+      shard.resetStats();
+    }
+  }
+
+  /**
+   * Gets the shard holding a key.
+   * @private
+   * @param {K} key The key.
+   * @returns {HyperbolicLRUCache<T, K>}
+   */
+  _shard(key) {
+    return this.shards[this._shardIndex(key)];
+  }
+
+  /**
+   * Gets the index of the shard holding a key.
+   * @private
+   * @param {K} key The key.
+   * @returns {number}
+   */
+  _shardIndex(key) {
+    return this.shards.length === 1 ? 0 : shardHash(this.keyHash(key)) % this.shards.length;
+  }
+}
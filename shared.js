@@ -0,0 +1,635 @@
+import { serialize, deserialize } from 'v8';
+import { createSeededRandom } from './index.js';
+
+/** Identifies a buffer laid out by SharedHyperbolicLRUCache, and its layout version. */
+const SHARED_MAGIC = 0x484c5201;
+
+/** Header fields, as indexes into the header Int32Array. */
+const MAGIC = 0;
+const CAPACITY = 1;
+const MAX_KEY_BYTES = 2;
+const MAX_VALUE_BYTES = 3;
+const SKETCH_WIDTH = 4;
+const SKETCH_DEPTH = 5;
+const TABLE_SIZE = 6;
+const LOCK = 7;
+const COUNT = 8;
+const FREE_TOP = 9;
+const HEADER_FIELDS = 16;
+
+/** Per-slot Float64 fields. */
+const TIMESTAMP = 0;
+const EXPIRES_AT = 1;
+const COST = 2;
+const SLOT_NUMBERS = 3;
+
+/** Per-slot Int32 fields. */
+const KEY_LENGTH = 0;
+const VALUE_LENGTH = 1;
+const HASH = 2;
+const USED = 3;
+const SLOT_INTS = 4;
+
+const encoder = new TextEncoder();
+
+/**
+ * 32-bit FNV-1a hash of a byte string.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function hashBytes(bytes) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash = Math.imul(hash ^ bytes[i], 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Derives a second, independent hash from the first (murmur3 finalizer), for double hashing in the sketch.
+ * @param {number} hash
+ * @returns {number}
+ */
+function rehash(hash) {
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Computes the byte offsets of every section of the shared buffer.
+ * @param {number} capacity
+ * @param {number} maxKeyBytes
+ * @param {number} maxValueBytes
+ * @param {number} width
+ * @param {number} depth
+ * @param {number} tableSize
+ * @returns {{ sketch: number, table: number, free: number, numbers: number, ints: number, keys: number, values: number, byteLength: number }}
+ */
+function layout(capacity, maxKeyBytes, maxValueBytes, width, depth, tableSize) {
+  const align = (offset) => Math.ceil(offset / 8) * 8;
+  const sketch = HEADER_FIELDS * 4;
+  const table = align(sketch + width * depth * 4);
+  const free = align(table + tableSize * 4);
+  const numbers = align(free + capacity * 4);
+  const ints = align(numbers + capacity * SLOT_NUMBERS * 8);
+  const keys = align(ints + capacity * SLOT_INTS * 4);
+  const values = align(keys + capacity * maxKeyBytes);
+  const byteLength = align(values + capacity * maxValueBytes);
+  return { sketch, table, free, numbers, ints, keys, values, byteLength };
+}
+
+/**
+ * A hyperbolic LRU cache whose entries, metadata and Count-Min Sketch live in a SharedArrayBuffer,
+ * so that every worker thread attached to the buffer sees one cache and one popularity signal.
+ * Keys are strings and values are stored as v8-serialized bytes, in fixed-size slots.
+ * Entry changes take a lock on the buffer; sketch counters are updated with Atomics, without the lock.
+ * Options that are functions (now, random, onEvict) are per instance and do not travel with the buffer.
+ * @template T The type of values stored in the cache
+ */
+export class SharedHyperbolicLRUCache {
+  /**
+   * The shared memory holding the cache. Pass it to other threads and attach with `SharedHyperbolicLRUCache.attach`.
+   * @type {SharedArrayBuffer}
+   */
+  buffer;
+  /** @private */
+  header;
+  /** @private */
+  sketch;
+  /** @private */
+  table;
+  /** @private */
+  free;
+  /** @private */
+  numbers;
+  /** @private */
+  ints;
+  /** @private */
+  keyBytes;
+  /** @private */
+  valueBytes;
+  /** @private */
+  capacity;
+  /** @private */
+  maxKeyBytes;
+  /** @private */
+  maxValueBytes;
+  /** @private */
+  width;
+  /** @private */
+  depth;
+  /** @private */
+  tableMask;
+  /**
+   * @private Number of items to sample during eviction.
+   * @type {number}
+   */
+  sampleSize;
+  /**
+   * @private Default time-to-live in milliseconds, or 0 for no expiry.
+   * @type {number}
+   */
+  ttl;
+  /** @private */
+  onEvict;
+  /** @private */
+  now;
+  /** @private */
+  random;
+
+  /**
+   * Creates a new cache in a fresh SharedArrayBuffer.
+   * @param {number} capacity Maximum number of items to store in the cache. Must be positive.
+   * @param {object} [options] Configuration options.
+   * @param {number} [options.maxKeyBytes=64] Maximum UTF-8 length of a key. Every slot reserves this much.
+   * @param {number} [options.maxValueBytes=1024] Maximum serialized length of a value. Every slot reserves this much.
+   * @param {number} [options.sketchEpsilon=0.01] Estimated error rate of the shared Count-Min Sketch.
+   * @param {number} [options.sketchDelta=0.01] Probability of exceeding the error rate.
+   * @param {number} [options.sampleSize=5] Number of items to sample during eviction.
+   * @param {number} [options.ttl=0] Default time-to-live in milliseconds for new entries. 0 disables expiry.
+   * @param {(key: string, value: T) => void} [options.onEvict] Called in the evicting thread when it evicts or expires an item.
+   * @param {() => number} [options.now=Date.now] Clock used for timestamps and TTLs. Every thread should use the same clock.
+   * @param {() => number} [options.random=Math.random] Random source in [0, 1) used for eviction sampling.
+   * @param {number} [options.seed] Seeds a built-in PRNG for eviction sampling. Ignored if random is given.
+   */
+  constructor(capacity, options = {}) {
+    if (!(capacity > 0) || !Number.isInteger(capacity)) {
+      throw new Error('Capacity must be a positive integer.');
+    }
+    const maxKeyBytes = options.maxKeyBytes || 64;
+    const maxValueBytes = options.maxValueBytes || 1024;
+    if (!(maxKeyBytes > 0) || !(maxValueBytes > 0)) {
+      throw new Error('maxKeyBytes and maxValueBytes must be positive.');
+    }
+    const width = Math.ceil(Math.E / (options.sketchEpsilon || 0.01));
+    const depth = Math.ceil(Math.log(1 / (options.sketchDelta || 0.01)));
+    let tableSize = 1;
+    while (tableSize < capacity * 2) {
+      tableSize *= 2;
+    }
+
+    const buffer = new SharedArrayBuffer(layout(capacity, maxKeyBytes, maxValueBytes, width, depth, tableSize).byteLength);
+    const header = new Int32Array(buffer, 0, HEADER_FIELDS);
+    header[CAPACITY] = capacity;
+    header[MAX_KEY_BYTES] = maxKeyBytes;
+    header[MAX_VALUE_BYTES] = maxValueBytes;
+    header[SKETCH_WIDTH] = width;
+    header[SKETCH_DEPTH] = depth;
+    header[TABLE_SIZE] = tableSize;
+    this._bind(buffer, options);
+    this._resetSlots();
+    Atomics.store(header, MAGIC, SHARED_MAGIC);
+  }
+
+  /**
+   * Attaches to a cache created in another thread.
+   * @template T
+   * @param {SharedArrayBuffer} buffer The `buffer` of the cache to attach to.
+   * @param {object} [options] Per-instance options: sampleSize, ttl, onEvict, now, random and seed, as for the constructor.
+   * @returns {SharedHyperbolicLRUCache<T>}
+   */
+  static attach(buffer, options = {}) {
+    if (!(buffer instanceof SharedArrayBuffer) || buffer.byteLength < HEADER_FIELDS * 4 ||
+        Atomics.load(new Int32Array(buffer, 0, HEADER_FIELDS), MAGIC) !== SHARED_MAGIC) {
+      throw new Error('Not a SharedHyperbolicLRUCache buffer.');
+    }
+    const cache = Object.create(SharedHyperbolicLRUCache.prototype);
+    cache._bind(buffer, options);
+    return cache;
+  }
+
+  /**
+   * Sets a value in the cache, evicting an item if the cache is full.
+   * Values whose serialized form is larger than maxValueBytes are refused, and any previous value for the key is removed.
+   * @param {string} key The key to store the value under.
+   * @param {T} value The value to store.
+   * @param {object} [options] Per-entry options.
+   * @param {number} [options.cost=1] Miss cost of this entry, multiplied into its hyperbolic priority.
+   * @param {number} [options.ttl] Time-to-live of this entry in milliseconds, 0 for no expiry. Defaults to the cache's ttl.
+   */
+  set(key, value, options = {}) {
+    const keyBytes = this._encodeKey(key);
+    const cost = options.cost === undefined ? 1 : options.cost;
+    if (typeof cost !== 'number' || !(cost >= 0) || cost === Infinity) {
+      throw new Error(`Invalid cost (${cost}) for key "${key}". Cost must be a finite, non-negative number.`);
+    }
+    const ttl = options.ttl === undefined ? this.ttl : options.ttl;
+    if (typeof ttl !== 'number' || !(ttl >= 0)) {
+      throw new Error(`Invalid ttl (${ttl}) for key "${key}". TTL must be a non-negative number.`);
+    }
+    const data = serialize(value);
+    const hash = hashBytes(keyBytes);
+    if (data.length > this.maxValueBytes) {
+      console.warn(`Value for key "${key}" (${data.length} bytes) is larger than maxValueBytes (${this.maxValueBytes}). Entry not added.`);
+      this._locked(() => this._removeAt(this._find(keyBytes, hash)));
+      return;
+    }
+    this._recordAccess(hash);
+
+    const evicted = this._locked(() => {
+      const now = this.now();
+      let position = this._find(keyBytes, hash);
+      let victim;
+      if (this.table[position] === 0) {
+        if (Atomics.load(this.header, COUNT) >= this.capacity) {
+          victim = this._evict(now);
+          position = this._find(keyBytes, hash);
+        }
+        const slot = this.free[--this.header[FREE_TOP]];
+        this.table[position] = slot + 1;
+        Atomics.add(this.header, COUNT, 1);
+        const ints = slot * SLOT_INTS;
+        this.ints[ints + KEY_LENGTH] = keyBytes.length;
+        this.ints[ints + HASH] = hash;
+        this.ints[ints + USED] = 1;
+        this.keyBytes.set(keyBytes, slot * this.maxKeyBytes);
+      }
+      const slot = this.table[position] - 1;
+      this.ints[slot * SLOT_INTS + VALUE_LENGTH] = data.length;
+      this.valueBytes.set(data, slot * this.maxValueBytes);
+      const numbers = slot * SLOT_NUMBERS;
+      this.numbers[numbers + TIMESTAMP] = now;
+      this.numbers[numbers + EXPIRES_AT] = ttl > 0 ? now + ttl : 0;
+      this.numbers[numbers + COST] = cost;
+      return victim;
+    });
+    this._notify(evicted);
+  }
+
+  /**
+   * Gets a value from the cache. Updates the shared frequency estimate and the timestamp if found.
+   * Expired entries are removed and treated as a miss.
+   * @param {string} key The key to retrieve.
+   * @returns {T | undefined} The value if found, undefined otherwise.
+   */
+  get(key) {
+    const keyBytes = this._encodeKey(key);
+    const hash = hashBytes(keyBytes);
+    let expired;
+    const data = this._locked(() => {
+      const now = this.now();
+      const position = this._find(keyBytes, hash);
+      const slot = this.table[position] - 1;
+      if (slot < 0) {
+        return undefined;
+      }
+      if (this._isExpired(slot, now)) {
+        expired = this._removeAt(position, true);
+        return undefined;
+      }
+      this.numbers[slot * SLOT_NUMBERS + TIMESTAMP] = now;
+      return this._readValue(slot);
+    });
+    this._notify(expired);
+    if (data === undefined) {
+      return undefined;
+    }
+    this._recordAccess(hash);
+    return deserialize(data);
+  }
+
+  /**
+   * Gets a value without updating its frequency estimate or timestamp.
+   * @param {string} key The key to read.
+   * @returns {T | undefined} The value if found and not expired, undefined otherwise.
+   */
+  peek(key) {
+    const keyBytes = this._encodeKey(key);
+    const data = this._locked(() => {
+      const slot = this.table[this._find(keyBytes, hashBytes(keyBytes))] - 1;
+      return slot < 0 || this._isExpired(slot, this.now()) ? undefined : this._readValue(slot);
+    });
+    return data === undefined ? undefined : deserialize(data);
+  }
+
+  /**
+   * Checks if a key exists in the cache. Does not update the sketch or timestamp.
+   * @param {string} key The key to check.
+   * @returns {boolean}
+   */
+  has(key) {
+    const keyBytes = this._encodeKey(key);
+    return this._locked(() => {
+      const slot = this.table[this._find(keyBytes, hashBytes(keyBytes))] - 1;
+      return slot >= 0 && !this._isExpired(slot, this.now());
+    });
+  }
+
+  /**
+   * Removes a key from the cache. The frequency sketch keeps its counts.
+   * @param {string} key The key to delete.
+   * @returns {boolean} True if the key was in the cache.
+   */
+  delete(key) {
+    const keyBytes = this._encodeKey(key);
+    return this._locked(() => this._removeAt(this._find(keyBytes, hashBytes(keyBytes)))) !== undefined;
+  }
+
+  /**
+   * Estimates how often a key has been set or read, across all attached threads.
+   * @param {string} key The key.
+   * @returns {number}
+   */
+  frequency(key) {
+    return this._estimateFrequency(hashBytes(this._encodeKey(key)));
+  }
+
+  /**
+   * Gets the current size of the cache.
+   * @returns {number} The number of items currently in the cache, including expired items not yet removed.
+   */
+  size() {
+    return Atomics.load(this.header, COUNT);
+  }
+
+  /**
+   * Removes every item and resets the shared sketch.
+   */
+  clear() {
+    this._locked(() => {
+      this.table.fill(0);
+      this._resetSlots();
+      for (let i = 0; i < this.sketch.length; i++) {
+        Atomics.store(this.sketch, i, 0);
+      }
+    });
+  }
+
+  /**
+   * Creates the typed array views over a buffer and applies the per-instance options.
+   * @private
+   * @param {SharedArrayBuffer} buffer
+   * @param {object} options
+   */
+  _bind(buffer, options) {
+    const header = new Int32Array(buffer, 0, HEADER_FIELDS);
+    this.buffer = buffer;
+    this.header = header;
+    this.capacity = header[CAPACITY];
+    this.maxKeyBytes = header[MAX_KEY_BYTES];
+    this.maxValueBytes = header[MAX_VALUE_BYTES];
+    this.width = header[SKETCH_WIDTH];
+    this.depth = header[SKETCH_DEPTH];
+    this.tableMask = header[TABLE_SIZE] - 1;
+    const offsets = layout(this.capacity, this.maxKeyBytes, this.maxValueBytes, this.width, this.depth, header[TABLE_SIZE]);
+    this.sketch = new Int32Array(buffer, offsets.sketch, this.width * this.depth);
+    this.table = new Int32Array(buffer, offsets.table, header[TABLE_SIZE]);
+    this.free = new Int32Array(buffer, offsets.free, this.capacity);
+    this.numbers = new Float64Array(buffer, offsets.numbers, this.capacity * SLOT_NUMBERS);
+    this.ints = new Int32Array(buffer, offsets.ints, this.capacity * SLOT_INTS);
+    this.keyBytes = new Uint8Array(buffer, offsets.keys, this.capacity * this.maxKeyBytes);
+    this.valueBytes = new Uint8Array(buffer, offsets.values, this.capacity * this.maxValueBytes);
+
+    this.sampleSize = options.sampleSize || 5;
+    this.ttl = options.ttl || 0;
+    if (this.ttl < 0) {
+      throw new Error('ttl must be positive.');
+    }
+    this.onEvict = options.onEvict;
+    this.now = options.now || Date.now;
+    if (options.random) {
+      this.random = options.random;
+    } else if (options.seed !== undefined) {
+      this.random = createSeededRandom(options.seed);
+    } else {
+      this.random = Math.random;
+    }
+  }
+
+  /**
+   * Marks every slot free. Must be called with the lock held, or before the buffer is shared.
+   * @private
+   */
+  _resetSlots() {
+    for (let slot = 0; slot < this.capacity; slot++) {
+      this.free[slot] = this.capacity - 1 - slot;
+      this.ints[slot * SLOT_INTS + USED] = 0;
+    }
+    this.header[FREE_TOP] = this.capacity;
+    Atomics.store(this.header, COUNT, 0);
+  }
+
+  /**
+   * Runs fn while holding the buffer's lock (a futex-style mutex: 0 free, 1 held, 2 held with waiters).
+   * @private
+   * @template R
+   * @param {() => R} fn
+   * @returns {R}
+   */
+  _locked(fn) {
+    const header = this.header;
+    let state = Atomics.compareExchange(header, LOCK, 0, 1);
+    if (state !== 0) {
+      if (state !== 2) {
+        state = Atomics.exchange(header, LOCK, 2);
+      }
+      while (state !== 0) {
+        Atomics.wait(header, LOCK, 2);
+        state = Atomics.exchange(header, LOCK, 2);
+      }
+    }
+    try {
+      return fn();
+    } finally {
+      if (Atomics.sub(header, LOCK, 1) !== 1) {
+        Atomics.store(header, LOCK, 0);
+        Atomics.notify(header, LOCK, 1);
+      }
+    }
+  }
+
+  /**
+   * Encodes and validates a key.
+   * @private
+   * @param {string} key
+   * @returns {Uint8Array}
+   */
+  _encodeKey(key) {
+    if (typeof key !== 'string') {
+      throw new Error(`Invalid key (${String(key)}). Shared cache keys must be strings.`);
+    }
+    const bytes = encoder.encode(key);
+    if (bytes.length > this.maxKeyBytes) {
+      throw new Error(`Key "${key}" (${bytes.length} bytes) is longer than maxKeyBytes (${this.maxKeyBytes}).`);
+    }
+    return bytes;
+  }
+
+  /**
+   * Finds a key in the hash table (linear probing).
+   * @private
+   * @param {Uint8Array} keyBytes
+   * @param {number} hash
+   * @returns {number} The table position holding the key, or the empty position where it would go.
+   */
+  _find(keyBytes, hash) {
+    let position = hash & this.tableMask;
+    for (;;) {
+      const slot = this.table[position] - 1;
+      if (slot < 0) {
+        return position;
+      }
+      const ints = slot * SLOT_INTS;
+      if (this.ints[ints + HASH] === (hash | 0) && this.ints[ints + KEY_LENGTH] === keyBytes.length) {
+        const start = slot * this.maxKeyBytes;
+        let equal = true;
+        for (let i = 0; i < keyBytes.length; i++) {
+          if (this.keyBytes[start + i] !== keyBytes[i]) {
+            equal = false;
+            break;
+          }
+        }
+        if (equal) {
+          return position;
+        }
+      }
+      position = (position + 1) & this.tableMask;
+    }
+  }
+
+  /**
+   * Removes the entry at a table position, shifting later entries of the probe sequence back so no tombstones are needed.
+   * @private
+   * @param {number} position A position returned by `_find`.
+   * @param {boolean} [keep=false] Whether to return the removed key and value, e.g. for onEvict.
+   * @returns {{ key: string, data: Uint8Array } | null | undefined} The removed entry (null unless keep), or undefined if the position is empty.
+   */
+  _removeAt(position, keep = false) {
+    const slot = this.table[position] - 1;
+    if (slot < 0) {
+      return undefined;
+    }
+    const removed = keep && this.onEvict ? { key: this._readKey(slot), data: this._readValue(slot) } : null;
+    let hole = position;
+    let next = position;
+    for (;;) {
+      next = (next + 1) & this.tableMask;
+      const moved = this.table[next] - 1;
+      if (moved < 0) {
+        break;
+      }
+      const home = this.ints[moved * SLOT_INTS + HASH] & this.tableMask;
+      // Keep the entry where it is if its home lies cyclically within (hole, next].
+      const stays = hole <= next ? hole < home && home <= next : hole < home || home <= next;
+      if (!stays) {
+        this.table[hole] = this.table[next];
+        hole = next;
+      }
+    }
+    this.table[hole] = 0;
+    this.ints[slot * SLOT_INTS + USED] = 0;
+    this.free[this.header[FREE_TOP]++] = slot;
+    Atomics.sub(this.header, COUNT, 1);
+    return removed;
+  }
+
+  /**
+   * Evicts one item, chosen by random sampling and hyperbolic priority. An expired sampled item is evicted right away.
+   * Must be called with the lock held, on a full cache.
+   * @private
+   * @param {number} now The current time in milliseconds.
+   * @returns {{ key: string, data: Uint8Array } | null | undefined} The evicted entry, for onEvict.
+   */
+  _evict(now) {
+    let victim = -1;
+    let lowestPriority = Infinity;
+    for (let i = 0; i < this.sampleSize; i++) {
+      const slot = Math.floor(this.random() * this.capacity);
+      if (this.ints[slot * SLOT_INTS + USED] === 0) {
+        continue;
+      }
+      if (this._isExpired(slot, now)) {
+        victim = slot;
+        break;
+      }
+      const numbers = slot * SLOT_NUMBERS;
+      const age = (now - this.numbers[numbers + TIMESTAMP]) / 1000;
+      const priority = this._estimateFrequency(this.ints[slot * SLOT_INTS + HASH] >>> 0) * this.numbers[numbers + COST] / (age + 1);
+      if (priority < lowestPriority) {
+        lowestPriority = priority;
+        victim = slot;
+      }
+    }
+    if (victim < 0) {
+      for (victim = 0; this.ints[victim * SLOT_INTS + USED] === 0; victim++);
+    }
+    const keyBytes = this.keyBytes.subarray(victim * this.maxKeyBytes, victim * this.maxKeyBytes + this.ints[victim * SLOT_INTS + KEY_LENGTH]);
+    return this._removeAt(this._find(keyBytes, this.ints[victim * SLOT_INTS + HASH] >>> 0), true);
+  }
+
+  /**
+   * Calls onEvict for an entry removed under the lock, once the lock has been released.
+   * @private
+   * @param {{ key: string, data: Uint8Array } | null | undefined} removed
+   */
+  _notify(removed) {
+    if (removed && this.onEvict) {
+      try {
+        this.onEvict(removed.key, deserialize(removed.data));
+      } catch (e) {
+        console.error(`onEvict callback failed for key ${removed.key}:`, e);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} slot
+   * @param {number} now
+   * @returns {boolean}
+   */
+  _isExpired(slot, now) {
+    const expiresAt = this.numbers[slot * SLOT_NUMBERS + EXPIRES_AT];
+    return expiresAt > 0 && now >= expiresAt;
+  }
+
+  /**
+   * Copies a slot's value bytes out of the shared buffer.
+   * @private
+   * @param {number} slot
+   * @returns {Uint8Array}
+   */
+  _readValue(slot) {
+    const start = slot * this.maxValueBytes;
+    return this.valueBytes.slice(start, start + this.ints[slot * SLOT_INTS + VALUE_LENGTH]);
+  }
+
+  /**
+   * Decodes a slot's key.
+   * @private
+   * @param {number} slot
+   * @returns {string}
+   */
+  _readKey(slot) {
+    const start = slot * this.maxKeyBytes;
+    return Buffer.from(this.keyBytes.slice(start, start + this.ints[slot * SLOT_INTS + KEY_LENGTH])).toString('utf8');
+  }
+
+  /**
+   * Counts one access to a key in the shared sketch.
+   * @private
+   * @param {number} hash The key's hash.
+   */
+  _recordAccess(hash) {
+    const second = rehash(hash);
+    for (let row = 0; row < this.depth; row++) {
+      Atomics.add(this.sketch, row * this.width + ((hash + row * second) >>> 0) % this.width, 1);
+    }
+  }
+
+  /**
+   * Estimates a key's access frequency from the shared sketch.
+   * @private
+   * @param {number} hash The key's hash.
+   * @returns {number}
+   */
+  _estimateFrequency(hash) {
+    const second = rehash(hash);
+    let estimate = Infinity;
+    for (let row = 0; row < this.depth; row++) {
+      estimate = Math.min(estimate, Atomics.load(this.sketch, row * this.width + ((hash + row * second) >>> 0) % this.width));
+    }
+    return estimate;
+  }
+}
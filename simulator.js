@@ -0,0 +1,458 @@
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { HyperbolicLRUCache } from './index.js';
+
+/**
+ * One request of a trace.
+ * @typedef {object} TraceRequest
+ * @property {string} key - The requested key.
+ * @property {number} [time] - When the request was made, in milliseconds.
+ * @property {number} [size] - Size of the requested object, e.g. in bytes.
+ * @property {number} [cost] - Miss cost of the request, passed to HyperbolicLRUCache's `set`.
+ */
+
+/**
+ * @typedef {'lines' | 'csv' | 'arc' | 'spc'} TraceFormat
+ */
+
+/**
+ * The outcome of replaying a trace against one policy and capacity.
+ * @typedef {object} SimulationResult
+ * @property {string} policy - 'hlru', 'lru', 'lfu' or 'belady'.
+ * @property {number} capacity - Maximum number of entries.
+ * @property {number} [sampleSize] - hLRU's sampleSize. Absent for the baselines.
+ * @property {number} requests - Number of requests replayed.
+ * @property {number} hits - Requests found in the cache.
+ * @property {number} misses - Requests not found in the cache.
+ * @property {number} hitRatio - hits / requests.
+ * @property {number} [byteHitRatio] - Size of the hits over size of all requests. Only set when the trace has sizes.
+ */
+
+/** Trace formats by file extension, for `readTrace`. */
+const FORMATS_BY_EXTENSION = { '.csv': 'csv', '.arc': 'arc', '.spc': 'spc' };
+
+/** Header names accepted for each CSV column. */
+const CSV_COLUMNS = {
+  key: ['key', 'id', 'object', 'url'],
+  time: ['timestamp', 'time', 'ts'],
+  size: ['size', 'bytes'],
+  cost: ['cost', 'latency', 'ms']
+};
+
+/**
+ * Every policy `simulate` accepts.
+ */
+export const POLICIES = ['hlru', 'lru', 'lfu', 'belady'];
+
+/**
+ * Parses a trace.
+ *
+ * - 'lines': one key per line. Blank lines and lines starting with '#' are skipped.
+ * - 'csv': a header row naming the columns, then one request per row. A key column is required
+ *   (key, id, object or url); timestamp, size and cost columns are optional. Timestamps are milliseconds or date strings.
+ *   Fields may be double-quoted.
+ * - 'arc': the ARC paper's traces. Each line is "start count ignored requestNumber", a request for `count` blocks from `start`.
+ * - 'spc': the Storage Performance Council (UMass) traces. Each line is "ASU,LBA,size,opcode,timestamp",
+ *   with the timestamp in seconds. The key is "ASU:LBA".
+ * @param {string} text The trace contents.
+ * @param {TraceFormat} [format='lines'] The trace format.
+ * @returns {TraceRequest[]}
+ */
+export function parseTrace(text, format = 'lines') {
+  const lines = text.split(/\r?\n/);
+  const requests = [];
+  switch (format) {
+    case 'lines':
+      for (const line of lines) {
+        const key = line.trim();
+        if (key !== '' && !key.startsWith('#')) {
+          requests.push({ key });
+        }
+      }
+      return requests;
+    case 'csv':
+      return parseCsv(lines);
+    case 'arc':
+      for (let i = 0; i < lines.length; i++) {
+        const fields = lines[i].trim().split(/\s+/);
+        if (fields[0] === '') {
+          continue;
+        }
+        const start = Number(fields[0]);
+        const count = Number(fields[1]);
+        if (!Number.isInteger(start) || !Number.isInteger(count) || count < 1) {
+          throw new Error(`Invalid ARC trace line ${i + 1}: "${lines[i]}"`);
+        }
+        for (let block = start; block < start + count; block++) {
+          requests.push({ key: String(block) });
+        }
+      }
+      return requests;
+    case 'spc':
+      for (let i = 0; i < lines.length; i++) {
+        if (lines[i].trim() === '') {
+          continue;
+        }
+        const [asu, lba, size, , timestamp] = lines[i].split(',').map((field) => field.trim());
+        const request = { key: `${asu}:${lba}`, size: Number(size), time: Number(timestamp) * 1000 };
+        if (lba === undefined || lba === '' || !(request.size >= 0) || !(request.time >= 0)) {
+          throw new Error(`Invalid SPC trace line ${i + 1}: "${lines[i]}"`);
+        }
+        requests.push(request);
+      }
+      return requests;
+    default:
+      throw new Error(`Unsupported trace format "${format}".`);
+  }
+}
+
+/**
+ * Reads and parses a trace file.
+ * @param {string} path The trace file.
+ * @param {TraceFormat} [format] The trace format. Defaults to 'csv', 'arc' or 'spc' by file extension, else 'lines'.
+ * @returns {Promise<TraceRequest[]>}
+ */
+export async function readTrace(path, format) {
+  return parseTrace(await readFile(path, 'utf8'), format || FORMATS_BY_EXTENSION[extname(path).toLowerCase()] || 'lines');
+}
+
+/**
+ * Replays a trace against one policy. Every request is a get, and a miss inserts the key.
+ * hLRU runs on the trace's timestamps, or a logical clock of `msPerRequest` per request when the trace has none,
+ * so that time in cache is measured in trace time rather than replay time.
+ * @param {TraceRequest[]} trace The requests.
+ * @param {object} options Simulation options.
+ * @param {string} options.policy One of POLICIES.
+ * @param {number} options.capacity Maximum number of entries.
+ * @param {number} [options.sampleSize] hLRU's sampleSize.
+ * @param {object} [options.cacheOptions] Other HyperbolicLRUCache options, e.g. priorityMode or evictionPoolSize.
+ * @param {number} [options.seed=1] Seed for hLRU's eviction sampling, so runs are reproducible.
+ * @param {number} [options.msPerRequest=10] Logical clock step for traces without timestamps.
+ * @returns {SimulationResult}
+ */
+export function simulate(trace, options) {
+  const { policy, capacity, sampleSize, cacheOptions = {}, seed = 1, msPerRequest = 10 } = options;
+  if (!(capacity > 0) || !Number.isInteger(capacity)) {
+    throw new Error('Capacity must be a positive integer.');
+  }
+  let hits = 0;
+  let bytes = 0;
+  let hitBytes = 0;
+  let sized = false;
+  const record = (request, hit) => {
+    if (hit) {
+      hits++;
+    }
+    if (request.size !== undefined) {
+      sized = true;
+      bytes += request.size;
+      if (hit) {
+        hitBytes += request.size;
+      }
+    }
+  };
+
+  switch (policy) {
+    case 'hlru': {
+      let time = 0;
+      const cache = new HyperbolicLRUCache(capacity, { ...cacheOptions, sampleSize, seed, now: () => time });
+      for (let i = 0; i < trace.length; i++) {
+        const request = trace[i];
+        time = request.time !== undefined ? request.time : i * msPerRequest;
+        const hit = cache.get(request.key) !== undefined;
+        if (!hit) {
+          cache.set(request.key, true, request.cost !== undefined ? { cost: request.cost } : undefined);
+        }
+        record(request, hit);
+      }
+      break;
+    }
+    case 'lru': {
+      const cache = new Map();
+      for (const request of trace) {
+        const hit = cache.delete(request.key);
+        if (!hit && cache.size >= capacity) {
+          cache.delete(cache.keys().next().value);
+        }
+        cache.set(request.key, true);
+        record(request, hit);
+      }
+      break;
+    }
+    case 'lfu':
+      replayLfu(trace, capacity, record);
+      break;
+    case 'belady':
+      replayBelady(trace, capacity, record);
+      break;
+    default:
+      throw new Error(`Unsupported policy "${policy}". Expected one of ${POLICIES.join(', ')}.`);
+  }
+
+  const result = { policy, capacity };
+  if (policy === 'hlru') {
+    result.sampleSize = sampleSize || 5;
+  }
+  Object.assign(result, {
+    requests: trace.length,
+    hits,
+    misses: trace.length - hits,
+    hitRatio: trace.length > 0 ? hits / trace.length : 0
+  });
+  if (sized) {
+    result.byteHitRatio = bytes > 0 ? hitBytes / bytes : 0;
+  }
+  return result;
+}
+
+/**
+ * Replays a trace for every combination of policy, capacity and (for hLRU) sampleSize, giving hit-ratio curves.
+ * @param {TraceRequest[]} trace The requests.
+ * @param {object} options Simulation options. Any other option is passed to `simulate`.
+ * @param {number[]} options.capacities Capacities to simulate.
+ * @param {number[]} [options.sampleSizes=[5]] hLRU sampleSizes to simulate.
+ * @param {string[]} [options.policies=POLICIES] Policies to simulate.
+ * @returns {SimulationResult[]}
+ */
+export function simulateCurves(trace, options) {
+  const { capacities, sampleSizes = [5], policies = POLICIES, ...simulateOptions } = options;
+  const results = [];
+  for (const capacity of capacities) {
+    for (const policy of policies) {
+      for (const sampleSize of policy === 'hlru' ? sampleSizes : [undefined]) {
+        results.push(simulate(trace, { ...simulateOptions, policy, capacity, sampleSize }));
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Formats simulation results as a text table with one row per capacity and one column per policy (and hLRU sampleSize).
+ * @param {SimulationResult[]} results Results from `simulateCurves`.
+ * @returns {string}
+ */
+export function formatTable(results) {
+  const columns = [];
+  for (const result of results) {
+    const column = result.policy === 'hlru' ? `hlru(${result.sampleSize})` : result.policy;
+    if (!columns.includes(column)) {
+      columns.push(column);
+    }
+  }
+  const rows = new Map();
+  for (const result of results) {
+    if (!rows.has(result.capacity)) {
+      rows.set(result.capacity, {});
+    }
+    const column = result.policy === 'hlru' ? `hlru(${result.sampleSize})` : result.policy;
+    rows.get(result.capacity)[column] = `${(result.hitRatio * 100).toFixed(2)}%`;
+  }
+  const header = ['capacity', ...columns];
+  const body = [...rows].map(([capacity, cells]) => [String(capacity), ...columns.map((column) => cells[column] || '-')]);
+  const widths = header.map((title, i) => Math.max(title.length, ...body.map((row) => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padStart(widths[i])).join(' | ');
+  return [line(header), widths.map((width) => '-'.repeat(width)).join('-|-'), ...body.map(line)].join('\n');
+}
+
+/**
+ * Parses a CSV trace.
+ * @param {string[]} lines The trace's lines, starting with the header.
+ * @returns {TraceRequest[]}
+ */
+function parseCsv(lines) {
+  let row = 0;
+  while (row < lines.length && lines[row].trim() === '') {
+    row++;
+  }
+  if (row === lines.length) {
+    return [];
+  }
+  const header = splitCsvLine(lines[row]).map((name) => name.trim().toLowerCase());
+  const index = {};
+  for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+    index[field] = header.findIndex((name) => names.includes(name));
+  }
+  if (index.key < 0) {
+    throw new Error(`CSV trace has no key column. Expected one of: ${CSV_COLUMNS.key.join(', ')}.`);
+  }
+
+  const requests = [];
+  for (row++; row < lines.length; row++) {
+    if (lines[row].trim() === '') {
+      continue;
+    }
+    const fields = splitCsvLine(lines[row]);
+    const request = { key: fields[index.key] };
+    if (request.key === undefined) {
+      throw new Error(`CSV trace line ${row + 1} has no key.`);
+    }
+    if (index.time >= 0) {
+      const time = fields[index.time];
+      request.time = /^\s*-?[\d.]+\s*$/.test(time) ? Number(time) : Date.parse(time);
+      if (Number.isNaN(request.time)) {
+        throw new Error(`Invalid timestamp "${time}" on CSV trace line ${row + 1}.`);
+      }
+    }
+    for (const field of ['size', 'cost']) {
+      if (index[field] >= 0) {
+        request[field] = Number(fields[index[field]]);
+        if (!(request[field] >= 0)) {
+          throw new Error(`Invalid ${field} "${fields[index[field]]}" on CSV trace line ${row + 1}.`);
+        }
+      }
+    }
+    requests.push(request);
+  }
+  return requests;
+}
+
+/**
+ * Splits one CSV line into fields. Double-quoted fields may contain commas and doubled quotes.
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Replays a trace against an LFU cache. Ties are broken by least recent use. Counts are forgotten on eviction.
+ * Keys are kept in per-count buckets, so every request is O(1).
+ * @param {TraceRequest[]} trace
+ * @param {number} capacity
+ * @param {(request: TraceRequest, hit: boolean) => void} record
+ */
+function replayLfu(trace, capacity, record) {
+  const counts = new Map();
+  const buckets = new Map();
+  let minCount = 0;
+  for (const request of trace) {
+    const count = counts.get(request.key);
+    const hit = count !== undefined;
+    if (hit) {
+      const bucket = buckets.get(count);
+      bucket.delete(request.key);
+      if (bucket.size === 0) {
+        buckets.delete(count);
+        if (minCount === count) {
+          minCount = count + 1;
+        }
+      }
+    } else {
+      if (counts.size >= capacity) {
+        const bucket = buckets.get(minCount);
+        const victim = bucket.keys().next().value;
+        bucket.delete(victim);
+        if (bucket.size === 0) {
+          buckets.delete(minCount);
+        }
+        counts.delete(victim);
+      }
+      minCount = 1;
+    }
+    const next = hit ? count + 1 : 1;
+    counts.set(request.key, next);
+    if (!buckets.has(next)) {
+      buckets.set(next, new Set());
+    }
+    buckets.get(next).add(request.key);
+    record(request, hit);
+  }
+}
+
+/**
+ * Replays a trace against Belady's optimal policy, which evicts the entry whose next request is furthest in the future.
+ * The resulting hit ratio is an upper bound for any policy that admits every missed key.
+ * @param {TraceRequest[]} trace
+ * @param {number} capacity
+ * @param {(request: TraceRequest, hit: boolean) => void} record
+ */
+function replayBelady(trace, capacity, record) {
+  const nextUse = new Array(trace.length);
+  const seen = new Map();
+  for (let i = trace.length - 1; i >= 0; i--) {
+    nextUse[i] = seen.has(trace[i].key) ? seen.get(trace[i].key) : Infinity;
+    seen.set(trace[i].key, i);
+  }
+
+  // Cached keys by their next use, plus a max-heap of [nextUse, key] with stale pairs skipped lazily.
+  const cached = new Map();
+  const heap = [];
+  const push = (pair) => {
+    heap.push(pair);
+    for (let i = heap.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] >= heap[i][0]) {
+        break;
+      }
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      for (let i = 0; ;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let largest = i;
+        if (left < heap.length && heap[left][0] > heap[largest][0]) {
+          largest = left;
+        }
+        if (right < heap.length && heap[right][0] > heap[largest][0]) {
+          largest = right;
+        }
+        if (largest === i) {
+          break;
+        }
+        [heap[largest], heap[i]] = [heap[i], heap[largest]];
+        i = largest;
+      }
+    }
+    return top;
+  };
+
+  for (let i = 0; i < trace.length; i++) {
+    const key = trace[i].key;
+    const hit = cached.has(key);
+    if (!hit && cached.size >= capacity) {
+      for (;;) {
+        const [use, victim] = pop();
+        if (cached.get(victim) === use) {
+          cached.delete(victim);
+          break;
+        }
+      }
+    }
+    cached.set(key, nextUse[i]);
+    push([nextUse[i], key]);
+    record(trace[i], hit);
+  }
+}
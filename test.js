@@ -1,4 +1,15 @@
-import { HyperbolicLRUCache } from './index.js';
+import { HyperbolicLRUCache, defaultKeyHash, createSeededRandom, priorities } from './index.js';
+import { TieredHyperbolicLRUCache } from './tiered.js';
+import { FileSystemStore } from './fileSystemStore.js';
+import { SharedHyperbolicLRUCache } from './shared.js';
+import { parseTrace, simulate, simulateCurves, formatTable } from './simulator.js';
+import { memoize, hashArguments } from './memoize.js';
+import { ShardedHyperbolicLRUCache } from './sharded.js';
+import { CountMinSketch } from 'faster-count-min-sketch';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Worker } from 'worker_threads';
 
 let testCount = 0;
 let passCount = 0;
@@ -167,22 +178,41 @@ console.log('TAP version 13');
 
     const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-    await test('cleanup method evicts old items', async () => {
+    const fakeClock = (start = 0) => {
+        const clock = () => clock.time;
+        clock.time = start;
+        clock.advance = (ms) => { clock.time += ms; };
+        return clock;
+    };
+
+    const memoryStore = () => {
+        const data = new Map();
+        return {
+            data,
+            get: async (key) => data.get(key),
+            set: async (key, value) => { data.set(key, value); },
+            delete: async (key) => data.delete(key),
+            has: async (key) => data.has(key)
+        };
+    };
+
+    await test('cleanup method evicts old items', () => {
         let evictedItems = {};
         const onEvict = (key, value) => { evictedItems[key] = value; };
-        const cache = new HyperbolicLRUCache(5, { onEvict });
+        const clock = fakeClock();
+        const cache = new HyperbolicLRUCache(5, { onEvict, now: clock });
 
         cache.set('old1', 'data_old1');
-        await delay(20);
+        clock.advance(20);
         cache.set('new1', 'data_new1');
-        await delay(20);
+        clock.advance(20);
         cache.set('old2', 'data_old2');
-        await delay(20);
+        clock.advance(20);
         cache.set('new2', 'data_new2');
 
         assertEquals(cache.size(), 4, 'Size before cleanup');
         
-        await delay(1);
+        clock.advance(1);
         cache.cleanup(35);
 
         assertEquals(cache.size(), 2, 'Size after cleanup (new2, old2 should remain)');
@@ -240,6 +270,1644 @@ console.log('TAP version 13');
         assertEquals(aEvictedCount, 0, `Item A (most frequent) should not be evicted when sampleSize is capacity (got: ${aEvictedCount}/${runs})`);
     });
 
+    await test('Per-item cost scales the hyperbolic priority', () => {
+        const cache = new HyperbolicLRUCache(2);
+        cache.set('cheap', 'c', { cost: 1 });
+        cache.set('expensive', 'e', { cost: 100 });
+        cache.get('cheap');
+        cache.get('cheap');
+
+        const now = Date.now();
+        const cheapPriority = cache._calculateHyperbolicPriority('cheap', now);
+        const expensivePriority = cache._calculateHyperbolicPriority('expensive', now);
+        assertTruthy(expensivePriority > cheapPriority, `Expensive item should outrank the more frequent cheap item (${expensivePriority} vs ${cheapPriority})`);
+        assertEquals(cache.cache.get('expensive').cost, 100, 'Cost should be stored on the entry');
+    });
+
+    await test('costCalculation provides the default cost', () => {
+        const cache = new HyperbolicLRUCache(5, { costCalculation: (value) => value.length });
+        cache.set('a', 'abcd');
+        assertEquals(cache.cache.get('a').cost, 4, 'Cost should come from costCalculation');
+        cache.set('a', 'ab', { cost: 7 });
+        assertEquals(cache.cache.get('a').cost, 7, 'Explicit cost should override costCalculation');
+        cache.set('a', 'abc');
+        assertEquals(cache.cache.get('a').cost, 3, 'Overwrite without cost should recompute it');
+
+        const defaultCache = new HyperbolicLRUCache(5);
+        defaultCache.set('b', 'x');
+        assertEquals(defaultCache.cache.get('b').cost, 1, 'Default cost should be 1');
+    });
+
+    await test('set rejects invalid costs', () => {
+        const cache = new HyperbolicLRUCache(5);
+        for (const cost of [-1, NaN, Infinity, '5']) {
+            let errored = false;
+            try {
+                cache.set('k', 'v', { cost });
+            } catch (e) {
+                errored = true;
+                assertTruthy(e.message.includes('Invalid cost'), `Error message for cost ${String(cost)}`);
+            }
+            assertTruthy(errored, `Error should be thrown for cost ${String(cost)}`);
+        }
+        assertFalsy(cache.has('k'), 'Key with invalid cost should not be stored');
+    });
+
+    await test('maxSize evicts until the new item fits', () => {
+        const evicted = [];
+        const cache = new HyperbolicLRUCache(100, {
+            maxSize: 10,
+            sizeCalculation: (value) => value.length,
+            onEvict: (key) => evicted.push(key)
+        });
+        cache.set('a', 'xxx');
+        cache.set('b', 'xxx');
+        cache.set('c', 'xxx');
+        assertEquals(cache.calculatedSize(), 9, 'Total weight before eviction');
+        cache.set('d', 'xxxxxxx');
+        assertTruthy(cache.has('d'), 'Large item should be inserted');
+        assertTruthy(cache.calculatedSize() <= 10, `Total weight should stay within maxSize (got ${cache.calculatedSize()})`);
+        assertEquals(evicted.length, 2, 'Two items should be evicted to make room');
+        assertEquals(cache.size(), 2, 'Entry count should reflect evictions');
+    });
+
+    await test('maxSize refuses items larger than maxSize', () => {
+        const cache = new HyperbolicLRUCache(10, { maxSize: 5 });
+        cache.set('small', 's', { size: 2 });
+        cache.set('huge', 'h', { size: 6 });
+        assertFalsy(cache.has('huge'), 'Oversized item should be refused');
+        assertTruthy(cache.has('small'), 'Existing items should not be evicted for a refused item');
+        cache.set('small', 's2', { size: 6 });
+        assertFalsy(cache.has('small'), 'Oversized overwrite should remove the stale value');
+        assertEquals(cache.calculatedSize(), 0, 'Total weight after removing the stale value');
+    });
+
+    await test('calculatedSize tracks overwrites, evictions and clear', () => {
+        const cache = new HyperbolicLRUCache(2, { sizeCalculation: (value) => value });
+        cache.set('a', 3);
+        cache.set('b', 4);
+        assertEquals(cache.calculatedSize(), 7, 'Weight after two sets');
+        cache.set('a', 1);
+        assertEquals(cache.calculatedSize(), 5, 'Weight after shrinking overwrite');
+        cache.set('c', 2);
+        assertEquals(cache.size(), 2, 'Capacity still bounds the entry count');
+        let remainingWeight = 0;
+        for (const entry of cache.cache.values()) remainingWeight += entry.size;
+        assertEquals(cache.calculatedSize(), remainingWeight, 'Weight should match the remaining entries');
+        cache.clear();
+        assertEquals(cache.calculatedSize(), 0, 'Weight after clear');
+    });
+
+    await test('Entries expire after their ttl and are treated as misses', () => {
+        const evicted = [];
+        const clock = fakeClock();
+        const cache = new HyperbolicLRUCache(5, { ttl: 20, now: clock, onEvict: (key) => evicted.push(key) });
+        cache.set('short', 's');
+        cache.set('forever', 'f', { ttl: 0 });
+        cache.set('long', 'l', { ttl: 10000 });
+        clock.advance(19);
+        assertEquals(cache.get('short'), 's', 'Entry should be readable before expiry');
+
+        clock.advance(1);
+        assertFalsy(cache.has('short'), 'has should report an expired entry as missing');
+        assertEquals(cache.get('short'), undefined, 'get should treat an expired entry as a miss');
+        assertEquals(cache.size(), 2, 'Expired entry should be removed lazily');
+        assertEquals(evicted.join(','), 'short', 'onEvict should fire once for the expired entry');
+        assertEquals(cache.get('forever'), 'f', 'ttl 0 should never expire');
+        assertEquals(cache.get('long'), 'l', 'Per-entry ttl should override the default');
+    });
+
+    await test('Eviction prefers expired entries found in the sample', () => {
+        const clock = fakeClock();
+        let draw = 0;
+        const random = () => (draw++ % 3) / 3;
+        const cache = new HyperbolicLRUCache(3, { sampleSize: 3, now: clock, random });
+        cache.set('stale', 's', { ttl: 10, cost: 1000 });
+        cache.set('fresh1', 1);
+        cache.set('fresh2', 2);
+        for (let i = 0; i < 10; i++) cache.get('stale');
+        clock.advance(20);
+
+        cache.set('newcomer', 'n');
+        assertFalsy(cache.cache.has('stale'), 'Expired entry should be evicted despite its high priority');
+        assertTruthy(cache.has('fresh1') && cache.has('fresh2') && cache.has('newcomer'), 'Live entries should remain');
+    });
+
+    await test('purgeStale removes expired entries incrementally', () => {
+        const clock = fakeClock();
+        const cache = new HyperbolicLRUCache(10, { now: clock });
+        for (let i = 0; i < 6; i++) {
+            cache.set(`expiring${i}`, i, { ttl: 10 });
+        }
+        cache.set('live', 'l');
+        clock.advance(20);
+        const firstPass = cache.purgeStale(3);
+        assertTruthy(firstPass > 0 && firstPass <= 3, `First pass should be bounded by the limit (got ${firstPass})`);
+        let removed = firstPass;
+        for (let pass = 0; pass < 5; pass++) {
+            removed += cache.purgeStale(3);
+        }
+        assertEquals(removed, 6, 'All expired entries should be purged');
+        assertEquals(cache.size(), 1, 'Only the live entry should remain');
+        assertTruthy(cache.cache.has('live'), 'Live entry should not be purged');
+    });
+
+    await test('purgeInterval purges expired entries in the background', async () => {
+        const clock = fakeClock();
+        const cache = new HyperbolicLRUCache(10, { ttl: 10, purgeInterval: 5, now: clock });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        clock.advance(10);
+        await delay(20);
+        assertEquals(cache.cache.size, 0, 'Background timer should remove expired entries without reads');
+        cache.close();
+        assertEquals(cache.purgeTimer, null, 'close should stop the timer');
+    });
+
+    await test('agingWindow decays the frequency of keys that went cold', () => {
+        const cache = new HyperbolicLRUCache(10, { agingWindow: 20 });
+        cache.set('yesterday', 'y');
+        for (let i = 0; i < 15; i++) cache.get('yesterday');
+        assertEquals(cache._estimateFrequency('yesterday'), 16, 'Frequency within the first window');
+
+        cache.set('today', 't');
+        for (let i = 0; i < 3; i++) cache.get('today');
+        assertEquals(cache._estimateFrequency('yesterday'), 8, 'Counts should be halved once the window fills');
+
+        for (let i = 0; i < 20; i++) cache.get('today');
+        assertEquals(cache._estimateFrequency('yesterday'), 0, 'Counts older than the previous window should be dropped');
+        assertTruthy(cache._estimateFrequency('today') > 0, 'The currently hot key should keep its frequency');
+    });
+
+    await test('agingDecay controls the weight of the previous window', () => {
+        const cache = new HyperbolicLRUCache(10, { agingWindow: 10, agingDecay: 0.25 });
+        cache.set('k', 'v');
+        for (let i = 0; i < 9; i++) cache.get('k');
+        assertEquals(cache._estimateFrequency('k'), 2.5, 'Previous window should be weighted by agingDecay');
+
+        let errored = false;
+        try {
+            new HyperbolicLRUCache(10, { agingWindow: 10, agingDecay: 2 });
+        } catch (e) {
+            errored = true;
+            assertTruthy(e.message.includes('agingDecay'), 'Error message for invalid agingDecay');
+        }
+        assertTruthy(errored, 'Error should be thrown for agingDecay above 1');
+    });
+
+    await test('Aging works with an injected sketchInstance', () => {
+        const sketchInstance = CountMinSketch.createEstimate(0.01, 0.01);
+        const cache = new HyperbolicLRUCache(10, { sketchInstance, agingWindow: 4 });
+        cache.set('k', 'v');
+        for (let i = 0; i < 3; i++) cache.get('k');
+        assertEquals(sketchInstance.query('k'), 4, 'Injected sketch should receive the updates');
+        assertEquals(cache._estimateFrequency('k'), 2, 'Injected sketch counts should age like the built-in one');
+        for (let i = 0; i < 6; i++) cache.set('other', i);
+        assertEquals(cache._estimateFrequency('k'), 0, 'Counts older than the previous window should be dropped');
+        assertEquals(sketchInstance.query('k'), 4, 'Aging should never clear the injected sketch, which may be shared');
+        assertEquals(cache._estimateFrequency('other'), 4, 'A replacement sketch should take over the rotation');
+        cache.clear();
+        assertEquals(cache._estimateFrequency('k'), 0, 'clear should reset both windows');
+    });
+
+    await test('Admission rejects one-hit-wonder keys colder than the victim', () => {
+        const rejected = [];
+        const cache = new HyperbolicLRUCache(3, { admission: true, onReject: (key) => rejected.push(key) });
+        for (const key of ['a', 'b', 'c']) {
+            cache.set(key, key);
+            cache.get(key);
+            cache.get(key);
+        }
+        for (let i = 0; i < 20; i++) {
+            cache.set(`scan${i}`, i);
+        }
+        assertTruthy(cache.has('a') && cache.has('b') && cache.has('c'), 'Working set should survive the scan');
+        assertEquals(cache.size(), 3, 'Rejected keys should not be inserted');
+        assertEquals(rejected.length, 20, 'Every scan key should be reported to onReject');
+    });
+
+    await test('Admission admits newcomers at least as hot as the victim', () => {
+        const cache = new HyperbolicLRUCache(2, { admission: true });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        for (let i = 0; i < 5; i++) cache.set('hot', 'h');
+        assertTruthy(cache.has('hot'), 'A repeatedly requested key should eventually be admitted');
+        assertEquals(cache.size(), 2, 'Capacity should still be respected');
+    });
+
+    await test('Doorkeeper keeps first-time keys out of the sketch', () => {
+        const cache = new HyperbolicLRUCache(10, { admission: true, doorkeeperSize: 2 });
+        cache.set('once', 1);
+        assertEquals(cache.sketch.query('once'), 0, 'First access should not reach the sketch');
+        assertEquals(cache._estimateFrequency('once'), 1, 'Doorkeeper should still count the first access');
+        cache.get('once');
+        assertEquals(cache.sketch.query('once'), 1, 'Second access should reach the sketch');
+        assertEquals(cache._estimateFrequency('once'), 2, 'Estimate should combine doorkeeper and sketch');
+
+        cache.set('x', 1);
+        cache.set('y', 1);
+        assertFalsy(cache.doorkeeper.has('once'), 'Doorkeeper should reset once it is full');
+        assertTruthy(cache.doorkeeper.has('y'), 'Doorkeeper should hold the key that triggered the reset');
+    });
+
+    await test('fetch loads on a miss and serves hits from the cache', async () => {
+        const cache = new HyperbolicLRUCache(5);
+        let calls = 0;
+        const loader = async (key) => { calls++; return `loaded:${key}`; };
+        assertEquals(await cache.fetch('a', loader, { cost: 5 }), 'loaded:a', 'Miss should return the loaded value');
+        assertEquals(cache.cache.get('a').cost, 5, 'Set options should be passed through to set');
+        assertEquals(await cache.fetch('a', loader), 'loaded:a', 'Hit should return the cached value');
+        assertEquals(calls, 1, 'Loader should only run on the miss');
+    });
+
+    await test('fetch deduplicates concurrent loads of the same key', async () => {
+        const cache = new HyperbolicLRUCache(5);
+        let calls = 0;
+        const loader = async () => { calls++; await delay(10); return calls; };
+        const results = await Promise.all([cache.fetch('k', loader), cache.fetch('k', loader), cache.fetch('k', loader)]);
+        assertEquals(calls, 1, 'Loader should run once for concurrent callers');
+        assertTruthy(results.every(result => result === 1), 'All callers should receive the same value');
+        assertEquals(cache.inFlight.size, 0, 'In-flight map should be empty once the load settles');
+    });
+
+    await test('fetch does not cache loader rejections', async () => {
+        const cache = new HyperbolicLRUCache(5);
+        let attempts = 0;
+        const loader = async () => {
+            attempts++;
+            if (attempts === 1) throw new Error('backend down');
+            return 'recovered';
+        };
+        let error = null;
+        try {
+            await cache.fetch('k', loader);
+        } catch (e) {
+            error = e;
+        }
+        assertTruthy(error && error.message === 'backend down', 'Rejection should reach the caller');
+        assertFalsy(cache.has('k'), 'Rejected load should not be cached');
+        assertEquals(await cache.fetch('k', loader), 'recovered', 'Next fetch should retry the loader');
+    });
+
+    await test('fetch with staleWhileRevalidate returns the stale value and refreshes it', async () => {
+        const clock = fakeClock();
+        const cache = new HyperbolicLRUCache(5, { now: clock });
+        cache.set('k', 'old', { ttl: 10 });
+        clock.advance(10);
+        let seenStale;
+        const loader = async (key, { staleValue }) => { seenStale = staleValue; await delay(5); return 'new'; };
+        assertEquals(await cache.fetch('k', loader, { staleWhileRevalidate: true }), 'old', 'Stale value should be returned immediately');
+        assertEquals(seenStale, 'old', 'Loader should receive the stale value');
+        await delay(20);
+        assertEquals(cache.get('k'), 'new', 'Background refresh should replace the stale value');
+
+        const errors = [];
+        cache.on('error', (e) => errors.push(e.message));
+        cache.set('down', 'stale', { ttl: 10 });
+        clock.advance(10);
+        const failing = async () => { throw new Error('backend down'); };
+        assertEquals(await cache.fetch('down', failing, { staleWhileRevalidate: true }), 'stale', 'A stale value should be served while refreshing');
+        await delay(5);
+        assertEquals(errors.join(','), 'backend down', 'A failed background refresh should be reported');
+    });
+
+    await test('fetch honours AbortSignal', async () => {
+        const cache = new HyperbolicLRUCache(5);
+        let loaderSignal;
+        const loader = (key, { signal }) => {
+            loaderSignal = signal;
+            return new Promise(resolve => setTimeout(() => resolve('late'), 30));
+        };
+        const first = new AbortController();
+        const second = new AbortController();
+        const firstFetch = cache.fetch('k', loader, { signal: first.signal });
+        const secondFetch = cache.fetch('k', loader, { signal: second.signal });
+
+        first.abort(new Error('first aborted'));
+        let firstError = null;
+        try { await firstFetch; } catch (e) { firstError = e; }
+        assertEquals(firstError && firstError.message, 'first aborted', 'Aborted caller should reject with the abort reason');
+        assertFalsy(loaderSignal.aborted, 'Loader should keep running while another caller waits');
+
+        second.abort(new Error('second aborted'));
+        try { await secondFetch; } catch (e) { /* expected */ }
+        assertTruthy(loaderSignal.aborted, 'Loader should be aborted once every caller has aborted');
+        assertEquals(await cache.fetch('k', () => 'fresh'), 'fresh', 'A later fetch should start a new load, not join the aborted one');
+        await delay(40);
+        assertEquals(cache.get('k'), 'fresh', 'Aborted load should not be cached');
+    });
+
+    await test('dump and load round-trip entries and sketch state as JSON', () => {
+        const cache = new HyperbolicLRUCache(5, { agingWindow: 100 });
+        cache.set('a', { n: 1 }, { cost: 3 });
+        cache.set('b', [1, 2]);
+        for (let i = 0; i < 7; i++) cache.get('a');
+
+        const restored = new HyperbolicLRUCache(5, { agingWindow: 100 });
+        restored.load(JSON.stringify(cache.dump()));
+        assertEquals(restored.size(), 2, 'Entry count should be restored');
+        assertEquals(restored.agingUpdates, cache.agingUpdates, 'Aging progress should be restored');
+        assertEquals(restored.get('a').n, 1, 'Object values should be restored');
+        assertEquals(restored.cache.get('a').cost, 3, 'Entry metadata should be restored');
+        assertEquals(restored.cache.get('b').timestamp, cache.cache.get('b').timestamp, 'Timestamps should be restored');
+        assertEquals(restored._estimateFrequency('b'), cache._estimateFrequency('b'), 'Sketch counts should be restored');
+    });
+
+    await test('dump and load round-trip the binary format with a value serializer', () => {
+        const cache = new HyperbolicLRUCache(5);
+        cache.set('when', new Date(0));
+        cache.get('when');
+        const snapshot = cache.dump({ format: 'binary', serializeValue: (value) => value.toISOString() });
+        assertTruthy(Buffer.isBuffer(snapshot), 'Binary dump should be a Buffer');
+
+        const restored = new HyperbolicLRUCache(5);
+        restored.load(snapshot, { deserializeValue: (data) => new Date(data) });
+        assertEquals(restored.get('when').getTime(), 0, 'Value should be deserialized');
+        assertEquals(restored._estimateFrequency('when'), 3, 'Sketch counts should survive the binary format');
+
+        let errored = false;
+        try {
+            restored.load(Buffer.from('nope'));
+        } catch (e) {
+            errored = true;
+        }
+        assertTruthy(errored, 'Loading a Buffer without the header should throw');
+    });
+
+    await test('Restored cache makes the same eviction decisions', () => {
+        const clock = fakeClock();
+        const cache = new HyperbolicLRUCache(20, { sampleSize: 5, now: clock, seed: 7 });
+        for (let i = 0; i < 20; i++) {
+            clock.advance(100);
+            cache.set(`k${i}`, i);
+            for (let j = 0; j < i % 4; j++) cache.get(`k${i}`);
+        }
+        const restored = new HyperbolicLRUCache(20, { sampleSize: 5, now: clock, seed: 7 });
+        restored.load(cache.dump({ format: 'binary' }));
+
+        const victims = (target) => {
+            const evicted = [];
+            target.onEvict = (key) => evicted.push(key);
+            for (let i = 0; i < 10; i++) target.set(`new${i}`, i);
+            return evicted.join(',');
+        };
+        assertEquals(victims(restored), victims(cache), 'Victims should match between original and restored caches');
+
+        // With an eviction pool, evictions before the dump fill the pool; the restored cache continues the same random sequence.
+        let calls = 0;
+        const seeded = createSeededRandom(7);
+        const random = () => { calls++; return seeded(); };
+        const pooled = new HyperbolicLRUCache(20, { sampleSize: 3, evictionPoolSize: 8, now: clock, random });
+        for (let i = 0; i < 40; i++) {
+            clock.advance(100);
+            pooled.set(`k${i}`, i);
+            for (let j = 0; j < i % 4; j++) pooled.get(`k${i}`);
+        }
+        const continued = createSeededRandom(7);
+        for (let i = 0; i < calls; i++) continued();
+        const restoredPool = new HyperbolicLRUCache(20, { sampleSize: 3, evictionPoolSize: 8, now: clock, random: continued });
+        restoredPool.load(JSON.parse(JSON.stringify(pooled.dump())));
+        assertEquals(restoredPool.evictionPool.join(), pooled.evictionPool.filter((key) => pooled.has(key)).join(), 'The eviction pool should be restored');
+        assertEquals(victims(restoredPool), victims(pooled), 'Victims should match with an eviction pool');
+    });
+
+    await test('stats tracks hits, misses, sets, overwrites and evictions by reason', () => {
+        const clock = fakeClock();
+        const cache = new HyperbolicLRUCache(3, { stats: true, now: clock });
+        cache.set('a', 1);
+        cache.set('a', 2);
+        cache.set('b', 3, { ttl: 5 });
+        cache.get('a');
+        cache.get('missing');
+        clock.advance(10);
+        cache.get('b');
+        cache.set('c', 4);
+        cache.set('d', 5);
+        cache.set('e', 6);
+        clock.advance(5);
+        cache.cleanup(1);
+        cache.set('f', 7);
+        cache.clear();
+
+        const stats = cache.stats();
+        assertEquals(stats.hits, 1, 'Hits');
+        assertEquals(stats.misses, 2, 'Misses, including the expired lookup');
+        assertEquals(stats.hitRate, 1 / 3, 'Hit rate');
+        assertEquals(stats.sets, 7, 'Sets');
+        assertEquals(stats.overwrites, 1, 'Overwrites');
+        assertEquals(stats.evictions.capacity, 1, 'Capacity evictions');
+        assertEquals(stats.evictions.expire, 1, 'Expired entries');
+        assertEquals(stats.evictions.cleanup, 3, 'Entries removed by cleanup');
+        assertEquals(stats.evictions.clear, 1, 'Entries removed by clear');
+        assertEquals(stats.victimPriority.count, 1, 'Victim priorities are recorded for capacity evictions');
+    });
+
+    await test('stats counts rejected inserts', () => {
+        const cache = new HyperbolicLRUCache(1, { stats: true, admission: true, doorkeeperSize: 10, maxSize: 10 });
+        cache.set('warm', 1);
+        cache.get('warm');
+        cache.set('cold', 2);
+        cache.set('huge', 3, { size: 11 });
+        assertEquals(cache.stats().rejections, 2, 'Admission and maxSize rejections');
+        assertEquals(cache.stats().sets, 1, 'Rejected inserts are not counted as sets');
+    });
+
+    await test('stats is opt-in', () => {
+        const cache = new HyperbolicLRUCache(2);
+        let errored = false;
+        try {
+            cache.stats();
+        } catch (e) {
+            errored = true;
+            assertTruthy(e.message.includes('Statistics are disabled'), 'Error message when stats are disabled');
+        }
+        assertTruthy(errored, 'stats() should throw when stats are disabled');
+        cache.resetStats();
+        cache.get('x');
+        assertEquals(cache.stats().misses, 1, 'resetStats should enable statistics');
+    });
+
+    await test('toPrometheus exports counters, gauges and the victim priority histogram', () => {
+        const cache = new HyperbolicLRUCache(1, { stats: true });
+        cache.set('a', 1);
+        cache.get('a');
+        cache.set('b', 2);
+        const text = cache.toPrometheus('app_cache');
+        assertTruthy(text.includes('# TYPE app_cache_hits_total counter\napp_cache_hits_total 1\n'), 'Hits counter');
+        assertTruthy(text.includes('app_cache_evictions_total{reason="capacity"} 1\n'), 'Evictions by reason');
+        assertTruthy(text.includes('app_cache_entries 1\n'), 'Entries gauge');
+        assertTruthy(text.includes('app_cache_victim_priority_bucket{le="+Inf"} 1\n'), 'Histogram +Inf bucket');
+        assertTruthy(text.includes('app_cache_victim_priority_count 1\n'), 'Histogram count');
+        assertTruthy(cache.toPrometheus().startsWith('# HELP hyperbolic_lru_hits_total'), 'Default prefix');
+
+        let errored = false;
+        try {
+            cache.toPrometheus('bad-prefix');
+        } catch (e) {
+            errored = true;
+        }
+        assertTruthy(errored, 'Invalid prefixes should throw');
+    });
+
+    await test('keys, values, entries, iterator and forEach list live entries', () => {
+        const clock = fakeClock();
+        const cache = new HyperbolicLRUCache(5, { now: clock });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.set('gone', 3, { ttl: 5 });
+        clock.advance(5);
+
+        assertEquals([...cache.keys()].join(','), 'a,b', 'keys should skip expired entries');
+        assertEquals([...cache.values()].join(','), '1,2', 'values');
+        assertEquals(JSON.stringify([...cache.entries()]), '[["a",1],["b",2]]', 'entries');
+        assertEquals(JSON.stringify([...cache]), '[["a",1],["b",2]]', 'Symbol.iterator');
+        const seen = [];
+        cache.forEach(function (value, key, owner) {
+            seen.push(`${key}=${value}`);
+            assertEquals(owner, cache, 'forEach should pass the cache');
+            assertEquals(this.tag, 'ctx', 'forEach should honour thisArg');
+        }, { tag: 'ctx' });
+        assertEquals(seen.join(','), 'a=1,b=2', 'forEach');
+    });
+
+    await test('peek and inspect do not touch the sketch or timestamps', () => {
+        const cache = new HyperbolicLRUCache(5);
+        cache.set('a', 'value', { cost: 4 });
+        cache.get('a');
+        const timestamp = cache.cache.get('a').timestamp;
+
+        assertEquals(cache.peek('a'), 'value', 'peek should return the value');
+        const info = cache.inspect('a');
+        assertEquals(info.value, 'value', 'inspect value');
+        assertEquals(info.timestamp, timestamp, 'inspect timestamp');
+        assertEquals(info.frequency, 2, 'inspect frequency');
+        assertEquals(info.cost, 4, 'inspect cost');
+        assertTruthy(info.priority > 0, 'inspect priority');
+        assertEquals(cache._estimateFrequency('a'), 2, 'Frequency should be unchanged');
+        assertEquals(cache.cache.get('a').timestamp, timestamp, 'Timestamp should be unchanged');
+        assertEquals(cache.peek('missing'), undefined, 'peek on a missing key');
+        assertEquals(cache.inspect('missing'), undefined, 'inspect on a missing key');
+    });
+
+    await test('entriesByPriority lists entries in eviction order', () => {
+        const cache = new HyperbolicLRUCache(5);
+        cache.set('cold', 1);
+        cache.set('warm', 2);
+        cache.set('hot', 3);
+        for (let i = 0; i < 3; i++) cache.get('warm');
+        for (let i = 0; i < 9; i++) cache.get('hot');
+        assertEquals(cache.entriesByPriority().map(info => info.key).join(','), 'cold,warm,hot', 'Lowest priority first');
+    });
+
+    await test('Numeric keys are stored as-is and counted separately from string keys', () => {
+        const cache = new HyperbolicLRUCache(5);
+        cache.set(42, 'number');
+        cache.set('42', 'string');
+        cache.get(42);
+        cache.get(42);
+        assertEquals(cache.get(42), 'number', 'Numeric key lookup');
+        assertEquals(cache.get('42'), 'string', 'String key lookup');
+        assertEquals([...cache.keys()][0], 42, 'Map should keep the original numeric key');
+        assertEquals(cache._estimateFrequency(42), 4, 'Frequency of the numeric key');
+        assertEquals(cache._estimateFrequency('42'), 2, 'Frequency of the string key');
+    });
+
+    await test('Buffer keys are counted by content', () => {
+        const cache = new HyperbolicLRUCache(5);
+        const key = Buffer.from('payload');
+        cache.set(key, 'v');
+        cache.get(key);
+        assertEquals(cache.get(key), 'v', 'Lookup by the same Buffer');
+        assertEquals(cache._estimateFrequency(Buffer.from('payload')), 3, 'Equal Buffers should share a frequency');
+        assertEquals(cache._estimateFrequency(Buffer.from('other')), 0, 'Different content should not share a frequency');
+        assertEquals(defaultKeyHash(new Uint8Array([1, 2])), defaultKeyHash(Buffer.from([1, 2])), 'Typed arrays hash by content');
+    });
+
+    await test('Object keys are counted by identity by default', () => {
+        const cache = new HyperbolicLRUCache(5);
+        const first = { id: 1 };
+        const twin = { id: 1 };
+        cache.set(first, 'a');
+        cache.get(first);
+        assertEquals(cache.get(first), 'a', 'Lookup by the same object');
+        assertEquals(cache.get(twin), undefined, 'A structurally equal object is a different key');
+        assertEquals(cache._estimateFrequency(first), 3, 'Frequency of the object key');
+        assertEquals(cache._estimateFrequency(twin), 0, 'The twin object should have its own frequency');
+        const symbolKey = Symbol('k');
+        cache.set(symbolKey, 's');
+        assertEquals(cache._estimateFrequency(symbolKey), 1, 'Symbol keys should be counted by identity');
+        assertFalsy(defaultKeyHash(Symbol('k')) === defaultKeyHash(symbolKey), 'Symbols with the same description should differ');
+        assertEquals(defaultKeyHash(Symbol.for('app.k')), defaultKeyHash(Symbol.for('app.k')), 'Registered symbols should hash by registry key');
+    });
+
+    await test('keyHash lets composite keys share frequency by value', () => {
+        const cache = new HyperbolicLRUCache(5, { keyHash: (key) => key.join('|') });
+        const tuple = ['tenant', 7];
+        cache.set(tuple, 'row');
+        cache.get(tuple);
+        assertEquals(cache._estimateFrequency(['tenant', 7]), 2, 'Equal tuples should share a frequency through keyHash');
+        assertEquals(cache.peek(tuple), 'row', 'The Map should still key by the original tuple');
+    });
+
+    await test('dump and load round-trip non-string keys with key serializers', () => {
+        const cache = new HyperbolicLRUCache(5);
+        cache.set(Buffer.from('k'), 'buffer');
+        cache.set(7, 'number');
+        const snapshot = JSON.stringify(cache.dump({
+            serializeKey: (key) => Buffer.isBuffer(key) ? { buffer: key.toString('hex') } : key
+        }));
+        const restored = new HyperbolicLRUCache(5);
+        restored.load(snapshot, {
+            deserializeKey: (data) => typeof data === 'object' ? Buffer.from(data.buffer, 'hex') : data
+        });
+        assertEquals(restored.get(7), 'number', 'Numeric key restored');
+        const [bufferKey] = restored.keys();
+        assertTruthy(Buffer.isBuffer(bufferKey) && bufferKey.toString() === 'k', 'Buffer key restored');
+        assertEquals(restored._estimateFrequency(Buffer.from('k')), 1, 'Buffer key frequency restored');
+    });
+
+    await test('createSeededRandom is reproducible and uniform in [0, 1)', () => {
+        const a = createSeededRandom(123);
+        const b = createSeededRandom(123);
+        const c = createSeededRandom(124);
+        let differs = false;
+        let sum = 0;
+        for (let i = 0; i < 1000; i++) {
+            const value = a();
+            assertEquals(value, b(), 'Same seed should produce the same sequence');
+            assertTruthy(value >= 0 && value < 1, 'Values should be in [0, 1)');
+            if (value !== c()) differs = true;
+            sum += value;
+        }
+        assertTruthy(differs, 'Different seeds should produce different sequences');
+        assertTruthy(Math.abs(sum / 1000 - 0.5) < 0.05, `Mean should be close to 0.5 (got ${sum / 1000})`);
+    });
+
+    await test('Same seed and clock replay the same evictions', () => {
+        const replay = () => {
+            const clock = fakeClock();
+            const evicted = [];
+            const cache = new HyperbolicLRUCache(10, { seed: 42, now: clock, onEvict: (key) => evicted.push(key) });
+            for (let i = 0; i < 200; i++) {
+                clock.advance(7);
+                const key = `k${(i * 37) % 23}`;
+                if (cache.get(key) === undefined) cache.set(key, i);
+            }
+            return evicted.join(',');
+        };
+        const first = replay();
+        assertTruthy(first.length > 0, 'The workload should cause evictions');
+        assertEquals(replay(), first, 'Evictions should be identical across replays');
+    });
+
+    await test('Insertion priority mode uses exact hits and time since insertion', () => {
+        const clock = fakeClock();
+        const cache = new HyperbolicLRUCache(10, { priorityMode: 'insertion', now: clock });
+        cache.set('a', 1);
+        clock.advance(1000);
+        cache.get('a');
+        cache.set('a', 2);
+        clock.advance(2000);
+        const info = cache.inspect('a');
+        assertEquals(info.insertedAt, 0, 'Overwrites should keep the insertion time');
+        assertEquals(info.timestamp, 1000, 'timestamp still tracks the last access');
+        assertEquals(info.hits, 3, 'The set, the hit and the overwrite should each count');
+        assertEquals(info.priority, 3 / 4, 'Priority should be hits over seconds since insertion, plus one');
+        assertEquals(cache.peek('a'), 2, 'peek should not count as a hit');
+        assertEquals(cache.inspect('a').hits, 3, 'peek and inspect should not change hits');
+
+        let threw = false;
+        try {
+            new HyperbolicLRUCache(10, { priorityMode: 'recency' });
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'An unknown priorityMode should throw');
+    });
+
+    await test('Access and insertion priority modes rank a long-lived hot key differently', () => {
+        const rank = (priorityMode) => {
+            const clock = fakeClock();
+            const cache = new HyperbolicLRUCache(10, { priorityMode, now: clock });
+            cache.set('old', 1);
+            cache.get('old');
+            cache.get('old');
+            cache.get('old');
+            clock.advance(99000);
+            cache.set('new', 1);
+            cache.get('new');
+            clock.advance(1000);
+            cache.get('old');
+            return cache.entriesByPriority().map(({ key }) => key).join(',');
+        };
+        assertEquals(rank('access'), 'new,old', 'Access mode should favour the recently touched key');
+        assertEquals(rank('insertion'), 'old,new', 'Insertion mode should amortize old hits over its whole lifetime');
+    });
+
+    await test('Custom priority functions receive entry metadata and drive eviction', () => {
+        const clock = fakeClock(1000);
+        const seen = [];
+        const cache = new HyperbolicLRUCache(2, {
+            now: clock,
+            seed: 1,
+            sampleSize: 50,
+            priority: (meta, now) => {
+                seen.push({ ...meta, now });
+                return -meta.size;
+            }
+        });
+        cache.set('big', 1, { size: 10, cost: 3 });
+        clock.advance(2000);
+        cache.get('big');
+        cache.set('small', 2, { size: 1 });
+        clock.advance(1000);
+        cache.set('new', 3);
+        assertFalsy(cache.has('big'), 'The custom priority should evict the largest entry');
+        assertTruthy(cache.has('small') && cache.has('new'), 'The other entries should stay');
+
+        const meta = seen.find((m) => m.key === 'big');
+        assertEquals(meta.now, 4000, 'now should be passed in milliseconds');
+        assertEquals(meta.frequency, 2, 'frequency should be the sketch estimate');
+        assertEquals(meta.hits, 2, 'hits should be the exact count');
+        assertEquals(meta.accessAge, 1, 'accessAge should be seconds since the last access');
+        assertEquals(meta.insertionAge, 3, 'insertionAge should be seconds since insertion');
+        assertEquals(meta.age, 1, 'age should follow the access priorityMode');
+        assertEquals(meta.cost, 3, 'cost should be passed');
+        assertEquals(meta.size, 10, 'size should be passed');
+    });
+
+    await test('Built-in priority functions', () => {
+        const meta = { frequency: 4, age: 3, accessAge: 3, insertionAge: 9, hits: 4, cost: 2, size: 8 };
+        assertEquals(priorities.hyperbolic(meta), 2, 'hyperbolic is frequency * cost / (age + 1)');
+        assertEquals(priorities.powerLaw(1)(meta), 2, 'powerLaw(1) matches hyperbolic');
+        assertEquals(priorities.powerLaw(2)(meta), 0.5, 'powerLaw(2) divides by the squared age');
+        assertEquals(priorities.powerLaw(0)(meta), 8, 'powerLaw(0) ignores age');
+        assertEquals(priorities.lfu(meta), 4, 'lfu is the frequency');
+        assertEquals(priorities.lru(meta), -3, 'lru ranks the least recently used lowest');
+        assertEquals(priorities.gdsf(meta), 1, 'gdsf is frequency * cost / size');
+
+        let threw = false;
+        try {
+            priorities.powerLaw(-1);
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'A negative alpha should throw');
+
+        const clock = fakeClock();
+        const cache = new HyperbolicLRUCache(3, { now: clock, seed: 3, sampleSize: 50, priority: priorities.lru });
+        for (const key of ['a', 'b', 'c']) {
+            cache.set(key, key);
+            clock.advance(1000);
+        }
+        cache.get('a');
+        cache.get('a');
+        cache.set('d', 'd');
+        assertFalsy(cache.has('b'), 'lru should evict the least recently used entry');
+        assertTruthy(cache.has('a') && cache.has('c') && cache.has('d'), 'lru should keep the others');
+    });
+
+    await test('Infinite and NaN priorities still evict through onEvict and stats', () => {
+        assertEquals(priorities.gdsf({ frequency: 2, cost: 1, size: 0 }), 2 / Number.EPSILON, 'gdsf should not divide by a zero size');
+        assertEquals(priorities.gdsf({ frequency: 0, cost: 1, size: 0 }), 0, 'gdsf should not return NaN for a zero size');
+
+        for (const priority of [() => Infinity, () => NaN, () => -Infinity]) {
+            const reasons = [];
+            const cache = new HyperbolicLRUCache(2, { priority, stats: true, seed: 1, onEvict: (key, value, reason) => reasons.push(reason) });
+            cache.set('a', 1);
+            cache.set('b', 2);
+            cache.set('c', 3);
+            assertEquals(cache.size(), 2, `A priority of ${priority()} should still make room`);
+            assertEquals(reasons.join(), 'capacity', `A priority of ${priority()} should evict for capacity`);
+            assertEquals(cache.stats().evictions.capacity, 1, `A priority of ${priority()} should be counted as a capacity eviction`);
+        }
+    });
+
+    await test('Cost classes learn a shared miss cost that weights eviction', () => {
+        const cache = new HyperbolicLRUCache(2, { seed: 5, sampleSize: 50, costClassAlpha: 0.5 });
+        cache.set('slow', 1, { costClass: 'db' });
+        cache.set('fast', 2, { costClass: 'api', cost: 3 });
+        assertEquals(cache.inspect('slow').cost, 1, 'Before any recorded miss the entry cost applies');
+        assertEquals(cache.inspect('fast').cost, 3, 'Before any recorded miss the explicit cost applies');
+
+        cache.recordMissCost('db', 100);
+        assertEquals(cache.inspect('slow').cost, 100, 'The first sample sets the class cost');
+        cache.recordMissCost('db', 300);
+        assertEquals(cache.inspect('slow').cost, 200, 'Later samples are folded into the moving average');
+        assertEquals(cache.inspect('slow').costClass, 'db', 'inspect reports the cost class');
+        cache.recordMissCost('api', 2);
+        assertEquals(cache.inspect('fast').cost, 2, 'The learned cost replaces the explicit cost');
+
+        cache.set('new', 3);
+        assertTruthy(cache.has('slow'), 'Items of the expensive class should stay cached');
+        assertFalsy(cache.has('fast'), 'Items of the cheap class should be evicted first');
+        assertEquals(JSON.stringify(cache.costClassStats()), JSON.stringify({
+            db: { cost: 200, samples: 2, entries: 1 },
+            api: { cost: 2, samples: 1, entries: 0 }
+        }), 'costClassStats should report the costs, samples and resident entries');
+
+        cache.set('slow', 4, { costClass: 'api' });
+        assertEquals(cache.costClassStats().db.entries, 0, 'Overwriting with another class should leave the old class');
+        assertEquals(cache.costClassStats().api.entries, 1, 'Overwriting with another class should join the new class');
+
+        for (const invalid of [[undefined, 1], ['db', -1], ['db', NaN]]) {
+            let threw = false;
+            try {
+                cache.recordMissCost(...invalid);
+            } catch (e) {
+                threw = true;
+            }
+            assertTruthy(threw, `recordMissCost(${invalid.join(', ')}) should throw`);
+        }
+    });
+
+    await test('Cost classes have per-class stats and survive snapshots', () => {
+        const cache = new HyperbolicLRUCache(1, { stats: true });
+        cache.set('a', 1, { costClass: 'db' });
+        cache.get('a');
+        cache.get('a');
+        cache.recordMissCost('db', 40);
+        cache.set('b', 2, { costClass: 'db' });
+        const stats = cache.stats().costClasses.db;
+        assertEquals(stats.hits, 2, 'Per-class hits');
+        assertEquals(stats.misses, 1, 'Per-class recorded misses');
+        assertEquals(stats.evictions, 1, 'Per-class evictions');
+        assertEquals(stats.entries, 1, 'Per-class entries');
+        assertEquals(stats.cost, 40, 'Per-class cost');
+        const text = cache.toPrometheus();
+        assertTruthy(text.includes('hyperbolic_lru_cost_class_cost{class="db"} 40'), 'Prometheus cost gauge');
+        assertTruthy(text.includes('hyperbolic_lru_cost_class_evictions_total{class="db"} 1'), 'Prometheus eviction counter');
+
+        const restored = new HyperbolicLRUCache(1);
+        restored.load(JSON.parse(JSON.stringify(cache.dump())));
+        assertEquals(JSON.stringify(restored.costClassStats()), JSON.stringify({ db: { cost: 40, samples: 1, entries: 1 } }),
+            'load should restore learned costs and class membership');
+        restored.clear();
+        assertEquals(restored.costClassStats().db.entries, 0, 'clear should empty the classes');
+        assertEquals(restored.costClassStats().db.cost, 40, 'clear should keep learned costs');
+    });
+
+    await test('Eviction pool keeps re-validated candidates across evictions', () => {
+        const clock = fakeClock();
+        const cache = new HyperbolicLRUCache(20, { seed: 9, sampleSize: 3, evictionPoolSize: 4, now: clock });
+        for (let i = 0; i < 100; i++) {
+            clock.advance(100);
+            cache.set(`k${i}`, i);
+            if (i % 3 === 0) cache.get(`k${i}`);
+        }
+        const pool = cache.evictionPool;
+        assertTruthy(pool.length > 0 && pool.length <= 4, `The pool should hold up to 4 candidates (got ${pool.length})`);
+        const live = pool.filter((key) => cache.has(key));
+        assertTruthy(live.length >= pool.length - 1, 'Only the last victim may linger in the pool');
+        const priorities = live.map((key) => cache.inspect(key).priority);
+        assertEquals(JSON.stringify(priorities), JSON.stringify([...priorities].sort((a, b) => a - b)), 'The pool should be ordered by priority');
+
+        cache.clear();
+        assertEquals(cache.evictionPool.length, 0, 'clear should empty the pool');
+        assertEquals(new HyperbolicLRUCache(5).evictionPool, null, 'The pool should be disabled by default');
+    });
+
+    await test('Eviction pool finds colder victims than the sample alone', () => {
+        const survivals = (evictionPoolSize) => {
+            let survived = 0;
+            for (let seed = 1; seed <= 20; seed++) {
+                const cache = new HyperbolicLRUCache(10, { seed, sampleSize: 2, evictionPoolSize, now: fakeClock() });
+                cache.set('hot', 1);
+                for (let i = 0; i < 50; i++) cache.get('hot');
+                for (let i = 0; i < 200; i++) cache.set(`cold${i}`, i);
+                if (cache.has('hot')) survived++;
+            }
+            return survived;
+        };
+        const withoutPool = survivals(0);
+        const withPool = survivals(8);
+        assertTruthy(withPool >= 18, `The hot key should almost always survive with a pool (got ${withPool}/20)`);
+        assertTruthy(withPool > withoutPool, `The pool should beat the sample alone (${withPool} vs ${withoutPool})`);
+    });
+
+    await test('delete and deleteWhere remove entries and report the reason', () => {
+        const evicted = [];
+        const cache = new HyperbolicLRUCache(10, { stats: true, onEvict: (key, value, reason) => evicted.push(`${key}=${value}:${reason}`) });
+        for (let i = 0; i < 6; i++) {
+            cache.set(`k${i}`, i);
+        }
+        cache.get('k0');
+        assertTruthy(cache.delete('k0'), 'delete should return true for a cached key');
+        assertFalsy(cache.delete('k0'), 'delete should return false for a missing key');
+        assertFalsy(cache.has('k0'), 'The deleted key should be gone');
+        assertEquals(cache.sketch.query('k0'), 2, 'delete should keep the sketch counts');
+
+        assertEquals(cache.deleteWhere((value) => value % 2 === 1), 3, 'deleteWhere should delete every match');
+        assertEquals([...cache.keys()].sort().join(','), 'k2,k4', 'Non-matching entries should stay');
+        assertEquals(evicted.sort().join(','), 'k0=0:delete,k1=1:delete,k3=3:delete,k5=5:delete', 'onEvict should get the delete reason');
+        assertEquals(cache.stats().evictions.delete, 4, 'Deletes should be counted');
+        assertEquals(cache.keyListArray.length, 2, 'The key list should shrink');
+    });
+
+    await test('invalidateTag deletes tagged entries and keeps the tag index consistent', () => {
+        const evicted = [];
+        const cache = new HyperbolicLRUCache(3, { seed: 2, onEvict: (key, value, reason) => evicted.push(`${key}:${reason}`) });
+        cache.set('profile', 1, { tags: ['user:42'] });
+        cache.set('orders', 2, { tags: ['user:42', 'orders'] });
+        cache.set('other', 3, { tags: ['user:7'] });
+        assertEquals(JSON.stringify(cache.inspect('orders').tags), '["user:42","orders"]', 'inspect should report the tags');
+
+        cache.set('profile', 10);
+        assertEquals(cache.invalidateTag('user:42'), 1, 'Overwriting without tags should drop the old tags');
+        assertTruthy(cache.has('profile'), 'The retagged entry should stay');
+        assertFalsy(cache.has('orders'), 'The tagged entry should be deleted');
+        assertFalsy(cache.tagIndex.has('orders'), 'Tags without entries should leave the index');
+        assertEquals(evicted.join(','), 'orders:delete', 'invalidateTag should notify onEvict');
+        assertEquals(cache.invalidateTag('missing'), 0, 'Unknown tags should delete nothing');
+
+        cache.set('a', 4, { tags: ['batch'] });
+        cache.set('b', 5, { tags: ['batch'] });
+        assertEquals(cache.size(), 3, 'The cache should stay at capacity');
+        const indexed = [...cache.tagIndex.values()].reduce((sum, keys) => sum + keys.size, 0);
+        const tagged = [...cache.cache.values()].reduce((sum, entry) => sum + (entry.tags ? entry.tags.length : 0), 0);
+        assertEquals(indexed, tagged, 'Evictions should keep the tag index in sync');
+
+        const restored = new HyperbolicLRUCache(3);
+        restored.load(JSON.parse(JSON.stringify(cache.dump())));
+        const batch = [...cache.keys()].filter((key) => cache.inspect(key).tags?.includes('batch'));
+        assertTruthy(batch.length > 0, 'Some batch entries should be cached');
+        assertEquals(restored.invalidateTag('batch'), batch.length, 'load should rebuild the tag index');
+        cache.clear();
+        assertEquals(cache.tagIndex.size, 0, 'clear should empty the tag index');
+
+        let threw = false;
+        try {
+            cache.set('k', 1, { tags: 'user:42' });
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'A string instead of an array of tags should throw');
+        assertFalsy(cache.has('k'), 'An entry with invalid tags should not be stored');
+    });
+
+    await test('delete stops an in-flight fetch from repopulating the key', async () => {
+        const cache = new HyperbolicLRUCache(10);
+        let resolve;
+        const pending = cache.fetch('key', () => new Promise((r) => { resolve = r; }));
+        cache.delete('key');
+        resolve('stale');
+        assertEquals(await pending, 'stale', 'The caller should still get the loaded value');
+        assertFalsy(cache.has('key'), 'The invalidated load should not be inserted');
+    });
+
+    await test('Events report sets, misses and removals with their reason', () => {
+        const clock = fakeClock();
+        const cache = new HyperbolicLRUCache(2, { seed: 4, now: clock });
+        const events = [];
+        for (const name of ['set', 'overwrite', 'miss', 'evict', 'expire', 'delete', 'clear']) {
+            cache.on(name, (event) => events.push(`${name}:${event.key ?? event.size}:${event.reason}`));
+        }
+        cache.on('overwrite', (event) => events.push(`old:${event.oldValue}`));
+
+        cache.set('a', 1, { ttl: 100 });
+        cache.set('a', 2, { ttl: 100 });
+        cache.get('missing');
+        clock.advance(100);
+        cache.get('a');
+        assertEquals(events.join(' '), 'set:a:set set:a:set overwrite:a:set old:1 miss:missing:missing expire:a:expire miss:a:expired',
+            'set, overwrite, miss and expire events');
+
+        events.length = 0;
+        cache.set('b', 1);
+        cache.set('c', 1);
+        cache.set('d', 1);
+        assertEquals(events.filter((e) => e.startsWith('evict')).length, 1, 'A capacity eviction should emit evict');
+        assertTruthy(events.some((e) => /^evict:[bc]:capacity$/.test(e)), 'evict should carry the capacity reason');
+
+        events.length = 0;
+        const survivor = [...cache.keys()].find((key) => key !== 'd');
+        cache.delete('d');
+        clock.advance(10);
+        cache.cleanup(5);
+        cache.set('e', 1);
+        cache.clear();
+        assertEquals(events.join(' '), `delete:d:delete expire:${survivor}:cleanup set:e:set clear:1:clear`, 'delete, cleanup and clear events');
+    });
+
+    await test('dispose runs before removal, disposeAfter after, and settled() awaits them', async () => {
+        const calls = [];
+        let cache;
+        const closing = [];
+        cache = new HyperbolicLRUCache(1, {
+            dispose: (value, key, reason) => {
+                calls.push(`dispose:${key}=${value}:${reason}:${cache.peek(key)}`);
+                return delay(5).then(() => closing.push(value));
+            },
+            disposeAfter: (value, key, reason) => {
+                calls.push(`after:${key}=${value}:${reason}:${cache.peek(key)}`);
+            }
+        });
+        cache.set('a', 'fd1');
+        cache.set('a', 'fd1');
+        assertEquals(calls.length, 0, 'Setting the same value should not dispose it');
+        cache.set('a', 'fd2');
+        cache.set('b', 'fd3');
+        cache.delete('b');
+        assertEquals(calls.join(' '), [
+            'dispose:a=fd1:set:fd1', 'after:a=fd1:set:fd2',
+            'dispose:a=fd2:capacity:fd2', 'after:a=fd2:capacity:undefined',
+            'dispose:b=fd3:delete:fd3', 'after:b=fd3:delete:undefined'
+        ].join(' '), 'dispose should see the cached value and disposeAfter the replacement or nothing');
+        assertEquals(closing.length, 0, 'Async disposals should still be running');
+        await cache.settled();
+        assertEquals(closing.join(','), 'fd1,fd2,fd3', 'settled() should wait for every disposal');
+
+        const errors = [];
+        const failing = new HyperbolicLRUCache(1, { dispose: () => { throw new Error('close failed'); } });
+        failing.on('error', (e) => errors.push(e.message));
+        failing.set('a', 1);
+        failing.set('b', 2);
+        assertEquals(failing.size(), 1, 'A failing dispose should not stop the eviction');
+        await failing.settled();
+        assertEquals(errors.join(','), 'close failed', 'dispose failures should be emitted as errors');
+
+        const logged = [];
+        const originalError = console.error;
+        console.error = (message, e) => logged.push(e.message);
+        try {
+            const unlistened = new HyperbolicLRUCache(1, { dispose: async () => { throw new Error('async close failed'); } });
+            unlistened.set('a', 1);
+            unlistened.set('b', 2);
+            await unlistened.settled();
+        } finally {
+            console.error = originalError;
+        }
+        assertEquals(logged.join(','), 'async close failed', 'Without an error listener, dispose failures should be logged');
+    });
+
+    await test('Tiered cache demotes evicted entries and promotes them with their frequency', async () => {
+        const store = memoryStore();
+        const tiered = new TieredHyperbolicLRUCache(1, { store, writeMode: 'write-back' });
+        await tiered.set('hot', 'h');
+        for (let i = 0; i < 5; i++) await tiered.get('hot');
+        assertEquals(store.data.size, 0, 'write-back should not write on set');
+        await tiered.set('cold', 'c');
+        assertEquals(await tiered.get('hot'), 'h', 'A demoted entry should be readable while its write is pending');
+        await tiered.flush();
+        assertEquals(store.data.get('hot').value, 'h', 'The evicted entry should be demoted');
+        assertEquals(store.data.get('hot').frequency, 6, 'The demoted record should carry the frequency');
+        assertEquals(store.data.get('cold').value, 'c', 'Promoting hot should demote cold');
+
+        const restarted = new TieredHyperbolicLRUCache(1, { store });
+        assertEquals(await restarted.get('hot'), 'h', 'A memory miss should be served from the store');
+        assertTruthy(restarted.memory.has('hot'), 'The entry should be promoted into memory');
+        assertEquals(restarted.memory.inspect('hot').frequency, 6, 'Promotion should restore the frequency estimate');
+        assertEquals(await restarted.get('missing'), undefined, 'A miss in both tiers should be undefined');
+    });
+
+    await test('Tiered cache write-through, delete and has', async () => {
+        const store = memoryStore();
+        const tiered = new TieredHyperbolicLRUCache(2, { store });
+        await tiered.set('a', 1);
+        assertEquals(store.data.get('a').value, 1, 'write-through should write on set');
+        assertTruthy(await tiered.has('a'), 'has should find memory entries');
+        tiered.memory.delete('a');
+        assertTruthy(await tiered.has('a'), 'has should find store entries');
+        assertTruthy(await tiered.delete('a'), 'delete should report a stored key');
+        assertFalsy(await tiered.has('a'), 'delete should remove the key from the store');
+        assertFalsy(await tiered.delete('a'), 'Deleting again should report false');
+
+        await tiered.set('b', 1);
+        const read = tiered.get('c');
+        await tiered.set('c', 2);
+        assertEquals(await read, 2, 'A set during a store read should win over the read');
+
+        let threw = false;
+        try {
+            new TieredHyperbolicLRUCache(2, { store: {} });
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'An incomplete store should throw');
+    });
+
+    await test('Tiered promotion restores frequency without aging or heavy-hitter side effects', async () => {
+        const store = memoryStore();
+        const tiered = new TieredHyperbolicLRUCache(10, { store, agingWindow: 1000, heavyHitters: 4 });
+        for (let i = 0; i < 50; i++) await tiered.set('resident', i);
+        await store.set('promoted', { value: 'p', frequency: 5000, expiresAt: 0 });
+        assertEquals(await tiered.get('promoted'), 'p', 'The stored record should be promoted');
+        assertEquals(tiered.memory.frequency('resident'), 50, 'Promotion should not roll the aging window');
+        assertEquals(tiered.memory.frequency('promoted'), 1 + 1000, 'The restored frequency should be capped at agingWindow');
+        assertEquals(tiered.memory.topK().find((entry) => entry.key === 'promoted').count, 1, 'Only the promoting set should reach topK');
+        assertEquals(tiered.memory.agingUpdates, 51, 'Only real accesses should advance the aging window');
+    });
+
+    await test('Tiered cache keeps TTLs in the store', async () => {
+        const clock = fakeClock();
+        const store = memoryStore();
+        const tiered = new TieredHyperbolicLRUCache(1, { store, now: clock });
+        await tiered.set('session', 'secret', { ttl: 1000 });
+        assertEquals(store.data.get('session').expiresAt, 1000, 'write-through should store the expiry time');
+        clock.advance(5000);
+        assertEquals(await tiered.get('session'), undefined, 'An expired entry should not be served from the store');
+        await delay(5);
+        assertFalsy(store.data.has('session'), 'An expired entry should be deleted from the store');
+
+        await tiered.set('a', 1, { ttl: 1000 });
+        await tiered.set('b', 2);
+        await delay(5);
+        clock.advance(500);
+        assertEquals(await tiered.get('a'), 1, 'A live entry should be promoted');
+        assertEquals(tiered.memory.inspect('a').expiresAt, 6000, 'Promotion should keep the original expiry time');
+        assertEquals(store.data.get('b').expiresAt, 0, 'Entries without a TTL should never expire');
+    });
+
+    await test('Tiered cache rejects identity-hashed keys without a custom keyHash', async () => {
+        const store = memoryStore();
+        const tiered = new TieredHyperbolicLRUCache(2, { store });
+        for (const key of [{ id: 1 }, Symbol('k')]) {
+            let threw = false;
+            try {
+                await tiered.set(key, 'v');
+            } catch (e) {
+                threw = true;
+            }
+            assertTruthy(threw, `A ${typeof key} key should be rejected`);
+        }
+        assertEquals(tiered.memory.size(), 0, 'A rejected key should not be cached');
+        await tiered.set(Symbol.for('app.k'), 'registered');
+        assertEquals(await tiered.get(Symbol.for('app.k')), 'registered', 'Registered symbols hash by value and are allowed');
+
+        const byId = new TieredHyperbolicLRUCache(2, { store, keyHash: (user) => `user:${user.id}` });
+        await byId.set({ id: 1 }, 'ada');
+        assertEquals(store.data.get('user:1').value, 'ada', 'A custom keyHash should name the stored record');
+    });
+
+    await test('Tiered cache survives failed demotions', async () => {
+        const store = memoryStore();
+        store.set = async () => { throw new Error('ENOSPC'); };
+        const tiered = new TieredHyperbolicLRUCache(1, { store, writeMode: 'write-back' });
+        const logged = [];
+        const originalError = console.error;
+        console.error = (message, e) => logged.push(e.message);
+        try {
+            await tiered.set('a', 1);
+            await tiered.set('b', 2);
+            await delay(5);
+        } finally {
+            console.error = originalError;
+        }
+        assertEquals(logged.join(','), 'ENOSPC', 'Without an error listener, a failed demotion should be logged');
+        assertEquals(await tiered.get('b'), 2, 'The memory tier should keep working');
+
+        const errors = [];
+        tiered.memory.on('error', (e) => errors.push(e.message));
+        await tiered.set('c', 3);
+        await delay(5);
+        assertEquals(errors.join(','), 'ENOSPC', 'With an error listener, a failed demotion should be emitted');
+    });
+
+    await test('FileSystemStore round-trips values through files', async () => {
+        const directory = await mkdtemp(join(tmpdir(), 'hlru-'));
+        try {
+            const store = new FileSystemStore(join(directory, 'tier'));
+            assertEquals(await store.get('missing'), undefined, 'Missing keys should read as undefined');
+            assertFalsy(await store.has('missing'), 'Missing keys should not exist');
+            await store.set('user:42/profile', { value: { name: 'Ada' }, frequency: 3 });
+            assertEquals(JSON.stringify(await store.get('user:42/profile')), '{"value":{"name":"Ada"},"frequency":3}', 'Values should round-trip');
+            assertTruthy(await store.has('user:42/profile'), 'Stored keys should exist');
+            assertTruthy(await store.delete('user:42/profile'), 'delete should report an existing key');
+            assertFalsy(await store.delete('user:42/profile'), 'delete should report a missing key');
+
+            const tiered = new TieredHyperbolicLRUCache(1, { store });
+            await tiered.set('a', 'x');
+            await tiered.set('b', 'y');
+            await tiered.flush();
+            const other = new TieredHyperbolicLRUCache(1, { store });
+            assertEquals(await other.get('a'), 'x', 'A second cache should read the first one\'s files');
+        } finally {
+            await rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    await test('SharedHyperbolicLRUCache stores, evicts and expires entries', () => {
+        const clock = fakeClock();
+        const evicted = [];
+        const cache = new SharedHyperbolicLRUCache(3, { now: clock, seed: 1, sampleSize: 20, onEvict: (key, value) => evicted.push([key, value]) });
+        cache.set('a', { n: 1 });
+        cache.set('b', [1, 2]);
+        cache.set('c', 'three', { ttl: 100 });
+        assertEquals(cache.size(), 3, 'Size should count entries');
+        assertEquals(JSON.stringify(cache.get('a')), '{"n":1}', 'Values should round-trip through the buffer');
+        cache.get('a');
+        cache.get('b');
+        assertEquals(cache.frequency('a'), 3, 'Sets and gets should count in the shared sketch');
+
+        clock.advance(100);
+        assertFalsy(cache.has('c'), 'An expired entry should not be reported');
+        cache.set('d', 4);
+        assertEquals(evicted.length, 1, 'A full cache should evict one entry');
+        assertEquals(evicted[0][0], 'c', 'The sampled expired entry should be evicted first');
+        assertEquals(cache.size(), 3, 'Eviction should keep the size at capacity');
+
+        cache.set('a', 'replaced');
+        assertEquals(cache.peek('a'), 'replaced', 'Overwriting should replace the value in place');
+        assertTruthy(cache.delete('b'), 'delete should report a present key');
+        assertFalsy(cache.delete('b'), 'delete should report a missing key');
+        assertEquals(cache.get('b'), undefined, 'Deleted keys should miss');
+        assertEquals(cache.get('d'), 4, 'Deleting should keep other keys reachable');
+        cache.clear();
+        assertEquals(cache.size(), 0, 'clear should remove every entry');
+        assertEquals(cache.frequency('a'), 0, 'clear should reset the sketch');
+
+        for (let i = 0; i < 50; i++) {
+            cache.set(`k${i}`, i);
+        }
+        assertEquals(cache.size(), 3, 'Churn should keep the size at capacity');
+
+        let threw = false;
+        try {
+            cache.set('x'.repeat(100), 1);
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'Keys longer than maxKeyBytes should throw');
+    });
+
+    await test('SharedHyperbolicLRUCache is shared with worker threads', async () => {
+        const cache = new SharedHyperbolicLRUCache(100, { maxValueBytes: 64 });
+        cache.set('main', 'from main');
+        cache.set('hot', true);
+        const worker = new Worker(`
+            const { workerData, parentPort } = require('worker_threads');
+            import(workerData.url).then(({ SharedHyperbolicLRUCache }) => {
+                const cache = SharedHyperbolicLRUCache.attach(workerData.buffer);
+                const seen = cache.get('main');
+                for (let i = 0; i < 1000; i++) {
+                    cache.set('counter', i);
+                    cache.get('hot');
+                }
+                parentPort.postMessage(seen);
+            });
+        `, { eval: true, workerData: { buffer: cache.buffer, url: new URL('./shared.js', import.meta.url).href } });
+        for (let i = 0; i < 1000; i++) {
+            cache.get('hot');
+        }
+        const seen = await new Promise((resolve, reject) => {
+            worker.once('message', resolve);
+            worker.once('error', reject);
+        });
+        await worker.terminate();
+        assertEquals(seen, 'from main', 'The worker should read entries set by the main thread');
+        assertEquals(cache.get('counter'), 999, 'The main thread should read entries set by the worker');
+        assertEquals(cache.frequency('hot'), 2001, 'Both threads should count into one sketch');
+
+        let threw = false;
+        try {
+            SharedHyperbolicLRUCache.attach(new SharedArrayBuffer(64));
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'Attaching to a foreign buffer should throw');
+    });
+
+    await test('parseTrace reads line, CSV, ARC and SPC traces', () => {
+        assertEquals(JSON.stringify(parseTrace('a\n\n# comment\nb\r\n')), '[{"key":"a"},{"key":"b"}]', 'Lines should skip blanks and comments');
+        const csv = parseTrace('Timestamp,Key,Size,Cost\n1000,"user,1",10,5\n2024-01-01T00:00:00Z,user2,20,0\n', 'csv');
+        assertEquals(csv[0].key, 'user,1', 'Quoted CSV fields may contain commas');
+        assertEquals(csv[0].time, 1000, 'Numeric timestamps should be milliseconds');
+        assertEquals(csv[1].time, Date.parse('2024-01-01T00:00:00Z'), 'Date strings should be parsed');
+        assertEquals(csv[1].size + csv[1].cost, 20, 'Size and cost columns should be read');
+        assertEquals(parseTrace('7 3 0 1\n', 'arc').map((request) => request.key).join(' '), '7 8 9', 'ARC lines should expand to one request per block');
+        const spc = parseTrace('0,303567,3584,w,0.000000\n1,55590,3072,r,0.5\n', 'spc');
+        assertEquals(`${spc[1].key} ${spc[1].size} ${spc[1].time}`, '1:55590 3072 500', 'SPC lines should give ASU:LBA keys, sizes and ms');
+
+        let threw = false;
+        try {
+            parseTrace('time,size\n1,2\n', 'csv');
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'A CSV trace without a key column should throw');
+    });
+
+    await test('simulate replays traces against hLRU and the baselines', () => {
+        const trace = parseTrace('a\na\nb\nc\na');
+        assertEquals(simulate(trace, { policy: 'lru', capacity: 2 }).hits, 1, 'LRU should evict the least recently used key');
+        assertEquals(simulate(trace, { policy: 'lfu', capacity: 2 }).hits, 2, 'LFU should keep the most frequent key');
+        assertEquals(simulate(parseTrace('a\nb\nc\na\nb'), { policy: 'belady', capacity: 2 }).hits, 1, 'Belady should evict the key used furthest in the future');
+        assertEquals(simulate(trace, { policy: 'hlru', capacity: 2, sampleSize: 2 }).hits, 2, 'hLRU should keep the frequent key');
+
+        const sized = simulate(parseTrace('key,size\na,10\na,10\nb,30\n', 'csv'), { policy: 'lru', capacity: 1 });
+        assertEquals(sized.byteHitRatio, 0.2, 'Byte hit ratio should weigh hits by size');
+
+        const results = simulateCurves(trace, { capacities: [1, 2], sampleSizes: [2, 4] });
+        assertEquals(results.length, 10, 'Curves should cover every policy, capacity and hLRU sampleSize');
+        const table = formatTable(results).split('\n');
+        assertTruthy(table[0].includes('hlru(2)') && table[0].includes('belady'), 'The table should have a column per policy');
+        assertEquals(table.length, 4, 'The table should have a row per capacity');
+    });
+
+    await test('autoTune moves sampleSize to the best shadow cache', () => {
+        const clock = fakeClock();
+        const random = createSeededRandom(7);
+        const rounds = [];
+        const cache = new HyperbolicLRUCache(50, { seed: 1, sampleSize: 2, now: clock, stats: true, autoTune: { sampleSizes: [2, 16], interval: 2000, keyFraction: 1 } });
+        cache.on('tune', (round) => rounds.push(round));
+        for (let i = 0; i < 6000; i++) {
+            clock.advance(10);
+            const key = `k${Math.floor(Math.exp(random() * Math.log(1000)))}`;
+            if (cache.get(key) === undefined) {
+                cache.set(key, i);
+            }
+        }
+        assertEquals(rounds.length, 3, 'A round should end every interval lookups');
+        assertEquals(rounds[0].previousSampleSize, 2, 'The first round should run with the configured sampleSize');
+        assertEquals(rounds[0].realHitRate, rounds[0].hitRates[2], 'The shadow with the current sampleSize should match the cache on a full key space');
+        assertTruthy(rounds[0].hitRates[16] > rounds[0].hitRates[2], 'A larger sample should win on a skewed workload');
+        assertEquals(cache.stats().sampleSize, 16, 'sampleSize should move to the best candidate');
+
+        const state = cache.autoTuneState();
+        assertEquals(state.history.length, 3, 'Rounds should be kept in the history');
+        assertEquals(state.keyFraction, 1, 'keyFraction should be reported');
+        assertEquals(`${state.minSampleSize}-${state.maxSampleSize}`, '2-16', 'Bounds should be reported');
+        assertEquals(state.window.lookups, 0, 'A new round should start empty');
+        assertTruthy(cache.toPrometheus().includes('hyperbolic_lru_sample_size 16'), 'The sampleSize should be exported');
+    });
+
+    await test('autoTune shadows a fixed fraction of keys and validates its bounds', () => {
+        const cache = new HyperbolicLRUCache(100, { sampleSize: 40, autoTune: { keyFraction: 0.25, maxSampleSize: 8, historySize: 1 } });
+        assertEquals(cache.autoTuneState().sampleSize, 8, 'sampleSize should be clamped to the bounds');
+        assertEquals(Object.keys(cache.autoTuneState().window.hitRates).join(','), '2,3,5,8', 'Default candidates should stay within the bounds');
+        for (let i = 0; i < 1000; i++) {
+            cache.get(`key${i}`);
+        }
+        const shadowed = cache.autoTuneState().window.lookups;
+        assertTruthy(shadowed > 150 && shadowed < 350, `About a quarter of the keys should be shadowed (got ${shadowed})`);
+
+        const small = new HyperbolicLRUCache(1000, { autoTune: true });
+        assertEquals(small.autoTuneState().keyFraction, 0.1, 'The default keyFraction should be at most 0.1');
+        assertEquals(small.tuner.candidates[0].cache.capacity, 100, 'Shadow caches should hold capacity * keyFraction entries');
+        assertEquals(new HyperbolicLRUCache(200, { autoTune: true }).tuner.candidates[0].cache.capacity, 64, 'Shadow caches should hold at least 64 entries');
+        assertEquals(new HyperbolicLRUCache(500000, { autoTune: true }).autoTuneState().keyFraction, 0.01, 'The default keyFraction should be at least 0.01');
+
+        let threw = false;
+        try {
+            new HyperbolicLRUCache(10).autoTuneState();
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'autoTuneState should throw when autoTune is disabled');
+        threw = false;
+        try {
+            new HyperbolicLRUCache(10, { autoTune: { minSampleSize: 8, maxSampleSize: 4 } });
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'Inverted bounds should throw');
+    });
+
+    await test('memoize caches sync results by argument value', () => {
+        let calls = 0;
+        const square = memoize((n) => {
+            calls++;
+            return n * n;
+        }, { capacity: 10 });
+        assertEquals(square(4), 16, 'The result should be returned');
+        assertEquals(square(4), 16, 'A cached result should be returned');
+        assertEquals(calls, 1, 'Equal arguments should share a result');
+        square(5);
+        assertEquals(calls, 2, 'Different arguments should call the function');
+
+        let undefinedCalls = 0;
+        const nothing = memoize(() => {
+            undefinedCalls++;
+        });
+        nothing();
+        nothing();
+        assertEquals(undefinedCalls, 1, 'undefined results should be cached too');
+
+        assertEquals(hashArguments({ a: 1, b: [2, 'x'] }), hashArguments({ b: [2, 'x'], a: 1 }), 'Plain objects should hash by value, in any key order');
+        assertTruthy(hashArguments('1') !== hashArguments(1), 'Strings and numbers should not collide');
+        assertTruthy(hashArguments(['a', 'b']) !== hashArguments('a', 'b'), 'Nesting should be part of the key');
+        assertTruthy(hashArguments(new Map()) !== hashArguments(new Map()), 'Class instances should hash by identity');
+        const circular = {};
+        circular.self = circular;
+        let threw = false;
+        try {
+            hashArguments(circular);
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'Circular arguments should throw');
+
+        const byId = memoize((user) => user.name.toUpperCase(), { keyFn: (user) => user.id });
+        assertEquals(byId({ id: 1, name: 'ada' }), 'ADA', 'keyFn results should be computed');
+        assertEquals(byId({ id: 1, name: 'bob' }), 'ADA', 'keyFn should decide which calls share a result');
+        byId.cache.delete(byId.keyFor({ id: 1 }));
+        assertEquals(byId({ id: 1, name: 'bob' }), 'BOB', 'Deleting the key from the cache should invalidate it');
+    });
+
+    await test('memoize deduplicates async calls, skips rejections and measures cost', async () => {
+        let calls = 0;
+        const load = memoize(async (id) => {
+            calls++;
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            if (id < 0) {
+                throw new Error('not found');
+            }
+            return { id };
+        });
+        const [first, second] = await Promise.all([load(1), load(1)]);
+        assertEquals(calls, 1, 'Concurrent calls should share one call');
+        assertTruthy(first === second, 'Concurrent calls should get the same result');
+        assertTruthy(await load(1) === first, 'Later calls should get the cached result');
+        assertTruthy(load.cache.inspect(load.keyFor(1)).cost >= 4, 'The cost should be the time until the promise settled');
+
+        for (let i = 0; i < 2; i++) {
+            let threw = false;
+            try {
+                await load(-1);
+            } catch (e) {
+                threw = true;
+            }
+            assertTruthy(threw, 'Rejections should reach the caller');
+        }
+        assertEquals(calls, 3, 'Rejections should not be cached');
+
+        const running = load(2);
+        load.cache.delete(load.keyFor(2));
+        const stale = await running;
+        const fresh = await load(2);
+        assertEquals(calls, 5, 'A key deleted mid-call should run the function again');
+        assertFalsy(fresh === stale, 'The invalidated result should not be cached');
+        assertTruthy(await load(2) === fresh, 'The new result should be cached');
+
+        const spin = memoize((ms) => {
+            const end = Date.now() + ms;
+            while (Date.now() < end);
+            return ms;
+        }, { measureCost: false });
+        spin(3);
+        assertEquals(spin.cache.inspect(spin.keyFor(3)).cost, 1, 'measureCost: false should keep the default cost');
+    });
+
+    await test('ShardedHyperbolicLRUCache partitions keys and aggregates stats', () => {
+        const clock = fakeClock();
+        const cache = new ShardedHyperbolicLRUCache(10, { shards: 3, seed: 1, stats: true, now: clock });
+        assertEquals(cache.shards.map((shard) => shard.capacity).join(','), '4,3,3', 'Capacity should be split evenly');
+        for (let i = 0; i < 30; i++) {
+            cache.set(`key${i}`, i);
+        }
+        assertEquals(cache.size(), 10, 'The total size should stay within capacity');
+        assertTruthy(cache.shards.every((shard) => shard.size() === shard.capacity), 'Keys should spread over every shard');
+        const resident = Array.from({ length: 30 }, (_, i) => `key${i}`).filter((key) => cache.has(key));
+        assertEquals(resident.length, 10, 'has should find keys in their shard');
+        assertEquals(cache.get(resident[0]), Number(resident[0].slice(3)), 'get should read from the key\'s shard');
+        assertEquals(cache.peek(resident[1]), Number(resident[1].slice(3)), 'peek should read from the key\'s shard');
+        cache.get('missing');
+
+        const stats = cache.stats();
+        assertEquals(`${stats.hits}/${stats.misses}/${stats.sets}`, '1/1/30', 'Counters should be summed over shards');
+        assertEquals(stats.evictions.capacity, 20, 'Evictions should be summed over shards');
+        assertEquals(stats.victimPriority.count, 20, 'Victim histograms should be merged');
+        assertEquals(stats.shards.length, 3, 'Per shard figures should be reported');
+
+        clock.advance(1000);
+        cache.set('fresh', 1);
+        cache.cleanup(500);
+        assertEquals(cache.size(), 1, 'cleanup should run on every shard');
+        assertTruthy(cache.delete('fresh'), 'delete should remove from the key\'s shard');
+        cache.set('again', 1);
+        cache.clear();
+        assertEquals(cache.size(), 0, 'clear should empty every shard');
+
+        let threw = false;
+        try {
+            new ShardedHyperbolicLRUCache(2, { shards: 4 });
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'A capacity smaller than the number of shards should throw');
+    });
+
+    await test('ShardedHyperbolicLRUCache moves capacity to shards with ghost hits', () => {
+        const cache = new ShardedHyperbolicLRUCache(20, { shards: 2, capacitySplit: 'adaptive', seed: 1, rebalanceInterval: 1000000 });
+        const keysOf = (shard, count) => {
+            const keys = [];
+            for (let i = 0; keys.length < count; i++) {
+                if (cache._shardIndex(`k${i}`) === shard) {
+                    keys.push(`k${i}`);
+                }
+            }
+            return keys;
+        };
+        const hot = keysOf(0, 14);
+        const cold = keysOf(1, 2);
+        for (let round = 0; round < 20; round++) {
+            for (const key of [...hot, ...cold]) {
+                if (cache.get(key) === undefined) {
+                    cache.set(key, round);
+                }
+            }
+        }
+        assertTruthy(cache.ghostHits[0] > 0, 'The cycling shard should miss on keys it evicted');
+        assertEquals(cache.ghostHits[1], 0, 'The quiet shard should have no ghost hits');
+        cache.rebalance();
+        assertTruthy(cache.shards[0].capacity > 10, 'The shard with ghost hits should grow');
+        assertEquals(cache.shards[0].capacity + cache.shards[1].capacity, 20, 'The total capacity should be kept');
+        assertTruthy(cache.shards[1].capacity >= 5, 'Shards should keep at least minShardShare of the even split');
+        assertTruthy(cache.shards[1].size() <= cache.shards[1].capacity, 'A shrunk shard should evict down to its capacity');
+    });
+
+    await test('resize evicts in bulk when shrinking', () => {
+        const clock = fakeClock();
+        const evicted = [];
+        const resizes = [];
+        const cache = new HyperbolicLRUCache(10, { seed: 1, now: clock, stats: true, onEvict: (key) => evicted.push(key) });
+        cache.on('resize', (event) => resizes.push(event));
+        for (let i = 0; i < 10; i++) {
+            cache.set(`key${i}`, i);
+        }
+        for (let i = 0; i < 20; i++) {
+            cache.get('key0');
+        }
+        cache.resize(4);
+        assertEquals(cache.size(), 4, 'Shrinking should evict down to the new capacity');
+        assertEquals(evicted.length, 6, 'Every removed entry should be reported');
+        assertTruthy(cache.has('key0'), 'The hottest entry should survive a shrink');
+        assertEquals(cache.stats().evictions.capacity, 6, 'Bulk evictions should count as capacity evictions');
+        assertEquals(JSON.stringify(resizes[0]), '{"capacity":4,"previousCapacity":10,"reason":"resize"}', 'resize should emit the change');
+
+        cache.resize(8);
+        for (let i = 10; i < 20; i++) {
+            cache.set(`key${i}`, i);
+        }
+        assertEquals(cache.size(), 8, 'Growing should make room for more entries');
+        assertEquals(cache.stats().capacity, 8, 'stats should report the current capacity');
+
+        let threw = false;
+        try {
+            cache.resize(0);
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'A non-positive capacity should throw');
+
+        const tuned = new HyperbolicLRUCache(200, { autoTune: true });
+        const shadowCapacities = () => tuned.tuner.candidates.map((candidate) => candidate.cache.capacity).join();
+        tuned.resize(199);
+        assertEquals(shadowCapacities(), '64,64,64,64,64,64', 'resize should keep the shadow capacity floor');
+        tuned.resize(40);
+        assertEquals(shadowCapacities(), '40,40,40,40,40,40', 'Shadow caches should not outgrow the cache');
+        tuned.resize(5000);
+        assertEquals(shadowCapacities(), '500,500,500,500,500,500', 'Growing should scale the shadow caches with keyFraction');
+    });
+
+    await test('Memory pressure shrinks capacity and grows it back', async () => {
+        let usage = 0.5;
+        const cache = new HyperbolicLRUCache(100, { seed: 1, memoryPressure: { usage: () => usage, interval: 0, minShare: 0.2 } });
+        for (let i = 0; i < 100; i++) {
+            cache.set(`key${i}`, i);
+        }
+        cache.checkMemoryPressure();
+        assertEquals(cache.size(), 100, 'Normal usage should keep the capacity');
+
+        usage = 0.9;
+        assertEquals(cache.checkMemoryPressure(), 0.9, 'The measured usage should be returned');
+        assertEquals(cache.size(), 75, 'High usage should shrink the capacity by shrinkFactor');
+        for (let i = 0; i < 10; i++) {
+            cache.checkMemoryPressure();
+        }
+        assertEquals(cache.size(), 20, 'Capacity should not shrink below minShare');
+
+        usage = 0.8;
+        cache.checkMemoryPressure();
+        assertEquals(cache.capacity, 20, 'Usage between the thresholds should keep the capacity');
+        usage = 0.1;
+        cache.checkMemoryPressure();
+        assertEquals(cache.capacity, 30, 'Low usage should grow the capacity by growStep');
+        cache.resize(40);
+        for (let i = 0; i < 10; i++) {
+            cache.checkMemoryPressure();
+        }
+        assertEquals(cache.capacity, 40, 'Capacity should grow back no further than the configured capacity');
+
+        const timed = new HyperbolicLRUCache(10, { memoryPressure: { usage: () => 0.9, interval: 5 } });
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        timed.close();
+        assertTruthy(timed.capacity < 10, 'The timer should check memory pressure');
+        const capacity = timed.capacity;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        assertEquals(timed.capacity, capacity, 'close() should stop the timer');
+
+        let threw = false;
+        try {
+            new HyperbolicLRUCache(10, { memoryPressure: { low: 0.9, high: 0.8 } });
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'low above high should throw');
+    });
+
+    await test('topK reports heavy hitters, including keys that are not cached', () => {
+        const cache = new HyperbolicLRUCache(5, { heavyHitters: 16, seed: 1 });
+        const random = createSeededRandom(7);
+        for (let i = 0; i < 3000; i++) {
+            const roll = random();
+            const key = roll < 0.3 ? 'abuser' : roll < 0.45 ? 'hot' : `cold${Math.floor(random() * 1000)}`;
+            if (cache.get(key) === undefined) {
+                cache.set(key, i);
+            }
+        }
+        cache.delete('abuser');
+
+        const top = cache.topK(2);
+        assertEquals(top.map((entry) => entry.key).join(), 'abuser,hot', 'The most accessed keys should lead the report');
+        assertEquals(top[0].resident, false, 'A deleted key should still be reported');
+        assertTruthy(top[0].count >= top[1].count, 'Entries should be sorted by count');
+        assertTruthy(top[0].count - top[0].error <= top[0].frequency + 1, 'count - error should bound the true count');
+        assertTruthy(cache.frequency('abuser') > 800, 'frequency() should estimate accesses of uncached keys');
+        assertEquals(cache.topK().length, 16, 'topK() without k should report every tracked key');
+
+        cache.clear();
+        assertEquals(cache.topK().length, 0, 'clear() should reset the heavy-hitter summary');
+    });
+
+    await test('topK keeps a hot key counted before cold keys fill the summary', () => {
+        const cache = new HyperbolicLRUCache(10, { heavyHitters: 3 });
+        for (let i = 0; i < 5; i++) {
+            cache.set('a', i);
+        }
+        for (const key of ['b', 'c', 'd']) {
+            cache.set(key, key);
+        }
+        const top = cache.topK();
+        assertEquals(top[0].key, 'a', 'The hottest key should stay tracked');
+        assertEquals(top[0].count, 5, 'The hot key should keep its count');
+        assertEquals(top.map((entry) => entry.key).sort().join(), 'a,c,d', 'The new key should replace the coldest counter');
+        assertEquals(top.find((entry) => entry.key === 'd').error, 1, 'The replacing key should inherit the lowest count as its error');
+    });
+
+    await test('topK counters age with the sketch, and topK throws when disabled', () => {
+        const cache = new HyperbolicLRUCache(10, { heavyHitters: 2, agingWindow: 100, agingDecay: 0.5 });
+        for (let i = 0; i < 60; i++) {
+            cache.set('old', i);
+        }
+        for (let i = 0; i < 40; i++) {
+            cache.set('new', i);
+        }
+        assertEquals(cache.topK().map((entry) => entry.count).join(), '30,20', 'An aging window should scale every counter');
+        for (let i = 0; i < 20; i++) {
+            cache.set('new', i);
+        }
+        assertEquals(cache.topK()[0].key, 'new', 'Recent traffic should overtake aged counts');
+
+        let threw = false;
+        try {
+            new HyperbolicLRUCache(10).topK();
+        } catch (e) {
+            threw = true;
+        }
+        assertTruthy(threw, 'topK() should throw when heavy-hitter tracking is disabled');
+    });
+
     summary();
 
 })();
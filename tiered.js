@@ -0,0 +1,333 @@
+import { HyperbolicLRUCache, defaultKeyHash } from './index.js';
+
+/** The prefixes defaultKeyHash gives keys it can only count by identity, which mean nothing to a store. */
+const IDENTITY_KEY_PREFIXES = ['\u0000object:', '\u0000symbol:'];
+
+/**
+ * An async key-value store used as the secondary tier of a TieredHyperbolicLRUCache.
+ * Keys are the strings produced by the memory tier's keyHash.
+ * @template V
+ * @typedef {object} SecondaryStore
+ * @property {(key: string) => Promise<V | undefined>} get - Resolves with the stored value, or undefined if missing.
+ * @property {(key: string, value: V) => Promise<void>} set - Stores a value.
+ * @property {(key: string) => Promise<boolean | void>} delete - Removes a value.
+ * @property {(key: string) => Promise<boolean>} has - Resolves with whether a value is stored.
+ */
+
+/**
+ * What the secondary tier stores for each entry: the value and the frequency estimate it had in memory,
+ * so that promotion can restore its standing.
+ * @template T
+ * @typedef {object} TierRecord
+ * @property {T} value - The cached value.
+ * @property {number} frequency - The memory tier's frequency estimate when the record was written.
+ * @property {number} [expiresAt] - When the entry expires, on the memory tier's clock, or 0 if it never expires.
+ */
+
+/**
+ * A two-tier cache: a HyperbolicLRUCache in memory, in front of an async secondary store.
+ * Entries evicted from memory for capacity are demoted to the store, and a memory miss checks the store
+ * and promotes the entry back, carrying its frequency estimate with it.
+ * @template T The type of values stored in the cache
+ * @template [K=string] The type of keys.
+ */
+export class TieredHyperbolicLRUCache {
+  /**
+   * The memory tier. Its 'error' events report failed background writes to the store; without an 'error' listener they are logged.
+   * @type {HyperbolicLRUCache<T, K>}
+   */
+  memory;
+  /**
+   * @private The secondary tier.
+   * @type {SecondaryStore<TierRecord<T>>}
+   */
+  store;
+  /**
+   * @private Whether sets write to the store right away ('write-through') or on demotion and flush ('write-back').
+   * @type {'write-through' | 'write-back'}
+   */
+  writeMode;
+  /**
+   * @private Keys set in write-back mode whose value the store does not have yet.
+   * @type {Set<K>}
+   */
+  dirty;
+  /**
+   * @private Demoted records whose store write has not finished, by key, so reads can still find them.
+   * @type {Map<K, TierRecord<T>>}
+   */
+  demoting;
+  /**
+   * @private Store reads in progress, by key. A set or delete of the key drops the read so its stale result is not promoted.
+   * @type {Map<K, Promise<TierRecord<T> | undefined>>}
+   */
+  reading;
+  /**
+   * @private The last queued store write or delete of each key. Writes of a key run in order,
+   * so a slow demotion cannot overwrite a later set or resurrect a deleted key.
+   * @type {Map<K, Promise<void>>}
+   */
+  queued;
+
+  /**
+   * Creates a new TieredHyperbolicLRUCache instance.
+   * @param {number} capacity Maximum number of items in the memory tier.
+   * @param {object} options Configuration options. Any other options are passed to the memory tier's HyperbolicLRUCache.
+   * @param {SecondaryStore<TierRecord<T>>} options.store The secondary tier, e.g. a FileSystemStore.
+   * @param {'write-through' | 'write-back'} [options.writeMode='write-through'] 'write-through' writes every set to the store
+   * before it resolves. 'write-back' only writes entries when they are demoted or on `flush()`.
+   */
+  constructor(capacity, options = {}) {
+    const { store, writeMode = 'write-through', ...cacheOptions } = options;
+    if (!store || ['get', 'set', 'delete', 'has'].some((method) => typeof store[method] !== 'function')) {
+      throw new Error('store must implement get, set, delete and has');
+    }
+    if (writeMode !== 'write-through' && writeMode !== 'write-back') {
+      throw new Error(`Unsupported writeMode "${writeMode}".`);
+    }
+    this.memory = new HyperbolicLRUCache(capacity, cacheOptions);
+    this.store = store;
+    this.writeMode = writeMode;
+    this.dirty = new Set();
+    this.demoting = new Map();
+    this.reading = new Map();
+    this.queued = new Map();
+    this.memory.on('evict', ({ key, value, expiresAt }) => this._demote(key, value, expiresAt));
+    this.memory.on('expire', ({ key }) => this._expire(key));
+  }
+
+  /**
+   * Gets a value, from memory or else from the store. A value found in the store is promoted into memory.
+   * @param {K} key The key to retrieve.
+   * @returns {Promise<T | undefined>} The value if found, undefined otherwise.
+   */
+  async get(key) {
+    const value = this.memory.get(key);
+    if (value !== undefined) {
+      return value;
+    }
+    const demoted = this.demoting.get(key);
+    if (demoted !== undefined && !this._isExpired(demoted)) {
+      this._promote(key, demoted);
+      return demoted.value;
+    }
+
+    let read = this.reading.get(key);
+    if (read === undefined) {
+      read = this.store.get(this._storeKey(key));
+      this.reading.set(key, read);
+    }
+    let record;
+    let current;
+    try {
+      record = await read;
+    } finally {
+      // A set or delete of the key while the store was read drops the read, making its record stale.
+      current = this.reading.get(key) === read;
+      if (current) {
+        this.reading.delete(key);
+      }
+    }
+    if (this.memory.has(key)) {
+      return this.memory.peek(key);
+    }
+    if (record === undefined) {
+      return undefined;
+    }
+    if (this._isExpired(record)) {
+      if (current) {
+        this._expire(key);
+      }
+      return undefined;
+    }
+    if (current) {
+      this._promote(key, record);
+    }
+    return record.value;
+  }
+
+  /**
+   * Stores a value in memory and, in write-through mode, in the store.
+   * @param {K} key The key to store the value under.
+   * @param {T} value The value to store.
+   * @param {object} [options] Per-entry options, passed to the memory tier's `set`.
+   * @returns {Promise<void>} Resolves once the store has the value (write-through) or right away (write-back).
+   */
+  async set(key, value, options) {
+    const storeKey = this._storeKey(key);
+    this.reading.delete(key);
+    this.demoting.delete(key);
+    this.memory.set(key, value, options);
+    if (this.writeMode === 'write-back') {
+      this.dirty.add(key);
+      return;
+    }
+    const record = { value, frequency: this._frequency(key), expiresAt: this._expiresAt(key) };
+    await this._queue(key, () => this.store.set(storeKey, record));
+  }
+
+  /**
+   * Removes a key from both tiers.
+   * @param {K} key The key to delete.
+   * @returns {Promise<boolean>} True if either tier held the key.
+   */
+  async delete(key) {
+    this.reading.delete(key);
+    this.dirty.delete(key);
+    const demoted = this.demoting.delete(key);
+    const inMemory = this.memory.delete(key);
+    const stored = await this._queue(key, () => this.store.delete(this._storeKey(key)));
+    return inMemory || demoted || stored === true;
+  }
+
+  /**
+   * Checks whether either tier holds a key. Does not promote it.
+   * @param {K} key The key to check.
+   * @returns {Promise<boolean>}
+   */
+  async has(key) {
+    if (this.memory.has(key) || this.demoting.has(key)) {
+      return true;
+    }
+    return this.store.has(this._storeKey(key));
+  }
+
+  /**
+   * Writes every dirty entry to the store (write-back mode) and waits for all pending demotions.
+   * A failed write of a dirty entry rejects the returned promise; failed demotions are reported as 'error' events on `memory`, or logged.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    const writes = [];
+    for (const key of this.dirty) {
+      const value = this.memory.peek(key);
+      if (value !== undefined) {
+        const record = { value, frequency: this._frequency(key), expiresAt: this._expiresAt(key) };
+        writes.push(this._queue(key, () => this.store.set(this._storeKey(key), record)));
+      }
+    }
+    this.dirty.clear();
+    await Promise.all([...writes, ...this.queued.values()]);
+  }
+
+  /**
+   * Stops the memory tier's background purge timer, if one is running.
+   */
+  close() {
+    this.memory.close();
+  }
+
+  /**
+   * Gets the memory tier's frequency estimate for a key.
+   * @private
+   * @param {K} key The key.
+   * @returns {number}
+   */
+  _frequency(key) {
+    return this.memory._estimateFrequency(key);
+  }
+
+  /**
+   * Gets when the memory tier's entry for a key expires.
+   * @private
+   * @param {K} key The key.
+   * @returns {number} The expiry time, or 0 if the entry never expires or is missing.
+   */
+  _expiresAt(key) {
+    return this.memory.inspect(key)?.expiresAt || 0;
+  }
+
+  /**
+   * Maps a key to its key in the store.
+   * @private
+   * @param {K} key The key.
+   * @returns {string}
+   * @throws {Error} If the default keyHash can only count the key by identity.
+   */
+  _storeKey(key) {
+    const storeKey = this.memory.keyHash(key);
+    if (this.memory.keyHash === defaultKeyHash && IDENTITY_KEY_PREFIXES.some((prefix) => storeKey.startsWith(prefix))) {
+      throw new Error('Object and symbol keys are hashed by identity, so the store cannot find them again. ' +
+        'Create the cache with a keyHash that hashes them by value.');
+    }
+    return storeKey;
+  }
+
+  /**
+   * Checks whether a stored record has expired.
+   * @private
+   * @param {TierRecord<T>} record The record.
+   * @returns {boolean}
+   */
+  _isExpired(record) {
+    return record.expiresAt > 0 && record.expiresAt <= this.memory.now();
+  }
+
+  /**
+   * Deletes an expired key from the store, in the background, so it cannot be promoted again.
+   * @private
+   * @param {K} key The expired key.
+   */
+  _expire(key) {
+    this.dirty.delete(key);
+    this.demoting.delete(key);
+    this._queue(key, () => this.store.delete(this._storeKey(key)))
+      .catch((e) => this.memory._reportError(e, `Deleting expired key ${String(key)} from the store failed:`));
+  }
+
+  /**
+   * Writes an entry evicted from memory to the store, in the background.
+   * @private
+   * @param {K} key The evicted key.
+   * @param {T} value The evicted value.
+   * @param {number} expiresAt When the entry expires, or 0 if it never expires.
+   */
+  _demote(key, value, expiresAt) {
+    this.dirty.delete(key);
+    const record = { value, frequency: this._frequency(key), expiresAt };
+    this.demoting.set(key, record);
+    this._queue(key, () => this.store.set(this._storeKey(key), record))
+      .catch((e) => this.memory._reportError(e, `Demoting key ${String(key)} to the store failed:`))
+      .finally(() => {
+        if (this.demoting.get(key) === record) {
+          this.demoting.delete(key);
+        }
+      });
+  }
+
+  /**
+   * Runs a store operation for a key once the key's previously queued operations have settled.
+   * @private
+   * @template R
+   * @param {K} key The key the operation writes.
+   * @param {() => Promise<R>} operation The store call.
+   * @returns {Promise<R>} Settles with the operation.
+   */
+  _queue(key, operation) {
+    const previous = this.queued.get(key) || Promise.resolve();
+    const result = previous.then(operation);
+    const settled = result.then(() => {}, () => {});
+    this.queued.set(key, settled);
+    settled.then(() => {
+      if (this.queued.get(key) === settled) {
+        this.queued.delete(key);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Inserts a record from the store into memory and restores its frequency estimate,
+   * so a hot entry is not evicted again as if it were new.
+   * @private
+   * @param {K} key The key to promote.
+   * @param {TierRecord<T>} record The stored record.
+   */
+  _promote(key, record) {
+    this.demoting.delete(key);
+    // Records written before expiresAt was stored get the memory tier's default ttl.
+    const ttl = record.expiresAt === undefined ? undefined : record.expiresAt > 0 ? record.expiresAt - this.memory.now() : 0;
+    this.memory.set(key, record.value, { ttl });
+    this.memory._addFrequency(key, record.frequency - this._frequency(key));
+  }
+}